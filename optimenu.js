@@ -7,8 +7,8 @@
  * enough DOM elements to fill the displayed view.  This proves very useful
  * for improving performance of very large menus.
  *
- * Note that while the height of the menuitems can be set by the user, all
- * menuitems must be the same height for the menu to function and scroll properly.
+ * Menuitems are the height set for them in CSS, unless menu data specifies
+ * otherwise (see "Variable height menuitems" below).
  *
  * It is up to the user to provide the container in which the menu lives.  This
  * would normally be a 'div' element.  The container must have a declared width,
@@ -27,19 +27,33 @@
  *   noPrefixIcon - flag which collapses the prefix icon
  *   noSuffixIcon - flag which collapses the suffix icon
  *   isSelected - flag which displays the menuitem as selected
+ *   menuitemType - adds the class `opti_menuitemtype_<menuitemType>` to the
+ *     menuitem, and may determine its height
+ *   menuitemHeight - height of the menuitem in pixels
+ *   isGroupHeader - flag which makes the menuitem the header of a group, see
+ *     "Groups" below
+ *   isCollapsed - flag which collapses the group of a group header
+ *   children - in tree mode, array of child menu data, see "Tree mode" below
+ *   isExpanded - in tree mode, flag which displays the children
+ *   hasChildren - in tree mode, flag which indicates children not yet loaded
+ *   submenu - array of menu data for a submenu, see "Submenus" below
  *
  * There is also a userDefined property which can contain a subset of properties
  * which can be set on each menuitem for user access, such as custom displaying
  * of the menuitem, feedback when it is clicked, etc.  The properties are:
  *
- *   userDefined.properties - javascript properties set directly on the menuitem element
- *   userDefined.attributes - element attributes set using setAttribute()
- *   userDefined.classes - css classes set using the classList API
+ *   userDefined.properties - javascript properties copied to the object
+ *     `menuitem.userDefined`, eg `e.menuitem.userDefined.tabId`
+ *   userDefined.attributes - element attributes set using setAttribute(),
+ *     unless their value is falsy
+ *   userDefined.classes - css classes added to the menuitem if their value
+ *     is truthy, other than those prefixed with "opti_", which are the
+ *     menu's own
  *
- * Not setting properties for a menu update which were previously set will result
- * in the removal of those properties.  Not setting userDefined.attributes or
- * userDefined.classes which were previously set will also result in the removal
- * of those attributes or classes.
+ * Since menuitems are recycled, each displaying one menu data after another,
+ * `menuitem.userDefined` is replaced whenever the menuitem displays menu data,
+ * and attributes and classes not set for the menu data it displays are
+ * removed.
  *
  * The menu is updated by calling `OptiMenu.updateMenu(array, deepClone).
  * OptiMenu keeps a reference to the array and may change properties later, so
@@ -55,8 +69,13 @@
  *     set, see OptiMenu constructor.)
  *   Drag and drop of selected menuitems.
  *   Activity listeners which can be registered for drag and drop, activation of
- *     prefix or suffix icon, and general mouse events.
+ *     prefix or suffix icon, general mouse events and selection changes, or
+ *     by event type with `OptiMenu.on()`, `OptiMenu.off()` and
+ *     `OptiMenu.once()`.
  *   Detection of last hovered menuitem (useful for implementing context menu actions).
+ *   Context menus of commands for the right-clicked menuitem or the selection.
+ *   Keyboard navigation of the entire menu using arrow keys, Home/End and
+ *     PageUp/PageDown, and activation of the key hovered menuitem using Enter.
  *
  * All properties, classes and attributes set on menuitems for the native functionality
  * of the menu are prefixed with 'opti_'.
@@ -72,6 +91,113 @@
  * that all margins for the menuitem element other than 0 (the default)
  * can likely result in undesired or unpredictable results.
  *
+ * Variable height menuitems:
+ *
+ * By default all menuitems are the same height, which makes scrolling simple
+ * to calculate.  Menu data may instead give its menuitem another height,
+ * either directly with `menuitemHeight`, or by `menuitemType` using the
+ * `menuitemTypeHeights` option of the constructor, eg for separators or
+ * two-line menuitems.  The height is set on the menuitem's style, and an
+ * index of menuitem offsets is kept for scrolling.  While no menuitem's
+ * height differs, no index is kept.
+ *
+ * Groups:
+ *
+ * Menu data with `isGroupHeader` set begins a group, which contains the menu
+ * data following it up to the next group header.  Clicking a group header, or
+ * Enter, ArrowLeft or ArrowRight while it is key hovered, collapses or expands
+ * its group, calling Action listeners with a `hybridType` of "grouptoggle".
+ * Groups can also be collapsed with `OptiMenu.collapseGroup()` and
+ * `OptiMenu.expandGroup()`.  Group headers are not selectable.
+ *
+ * With the `stickyGroupHeaders` option, the header of the group at the top of
+ * the menu is pinned there by a single extra menuitem, which is pushed out by
+ * the next group header as it scrolls up.
+ *
+ * Tree mode:
+ *
+ * With the `treeMode` option, menu data passed to `OptiMenu.updateMenu()` is
+ * a tree: the root menu data, each with an optional `children` array.  (Or
+ * flat menu data with `id` and `parentId` properties.)  Only the menu data of
+ * expanded nodes is in the menu data, so a very large tree is as cheap as a
+ * flat menu of the expanded nodes.  Menuitems are indented by level, with a
+ * twisty which expands or collapses the node, as do ArrowRight and ArrowLeft,
+ * calling Action listeners with a `hybridType` of "treetoggle".  Children
+ * may be loaded when first expanded with the `loadChildren` option, Action
+ * listeners being called with a `hybridType` of "treeloaderror" if it fails.
+ *
+ * Submenus:
+ *
+ * Menu data with a `submenu` array displays a chevron as its suffix icon,
+ * and opens a child OptiMenu of the submenu menu data next to its menuitem
+ * when hovered for `submenuDelay` milliseconds, when clicked, or with
+ * ArrowRight or Enter.  The submenu closes with ArrowLeft or Escape, when
+ * another menuitem is hovered, or when the mouse leaves both menus.  Activity
+ * listeners of the menu are called for the submenu too.
+ *
+ * Selection:
+ *
+ * Besides selecting with the mouse, menu data can be selected by index in the
+ * full menu data with `OptiMenu.selectIndices()`, `OptiMenu.deselectIndices()`,
+ * `OptiMenu.selectAll()`, `OptiMenu.invertSelection()` and
+ * `OptiMenu.clearSelection()`.  The selected menu data is kept in a set, so
+ * `OptiMenu.getSelectedMenuData()` and `OptiMenu.getSelectedIndices()` don't
+ * scan the menu data.  Selection listeners are called whenever the selection
+ * changes, by any means.
+ *
+ * The `selectionMode` option determines how menuitems are selected:
+ *
+ *   none - menuitems are not selectable, clicks are only actions
+ *   single - a click selects the menuitem, unselecting any other, and is
+ *     still an action
+ *   multiple - the default, ctrl/cmd + click and shift + click select, as do
+ *     shift and ctrl/cmd keys, and a plain click clears the selection
+ *   checkbox - a checkbox in each menuitem toggles its selection (shift +
+ *     click selects a range), and clicks elsewhere are still actions
+ *
+ * Range selection is anchored as in a file manager.  Ctrl/cmd + Space toggles
+ * the selection of the key hovered menuitem, making it the anchor, as does
+ * ctrl/cmd + click.  Shift + click and shift + navigation keys select the
+ * range from the anchor, replacing the range previously selected from it.
+ * Ctrl/cmd + navigation keys move the key hovered menuitem without changing
+ * the selection, and ctrl/cmd + A selects all.
+ *
+ * Popups:
+ *
+ * `OptiMenu.openPopup(anchor, options)` creates an OptiMenu in a floating
+ * container positioned next to an element or point, for dropdowns and context
+ * menus.  It closes on Escape, a click outside it, losing focus or a
+ * menuitem click, calling Action listeners with hybridType `popuphidden`.
+ *
+ * Context menus:
+ *
+ * `OptiMenu.setContextMenu(itemsOrProvider)` opens a popup of command menu
+ * data on right-clicking a menuitem, freezing it, or for the selection if it
+ * is selected.  Clicking a command calls Action listeners with hybridType
+ * `contextmenucommand`.
+ *
+ * Custom menuitems:
+ *
+ * The `renderer` option replaces the layout of menuitems.  `create()` returns
+ * a new element, and `update(menuitem, data, index)` displays menu data in it,
+ * replacing whatever it displayed before, as menuitems are recycled.  The
+ * menu adds its classes, attributes, height, tree twisty and checkbox to the
+ * menuitem, and handles events on all of its content.  Classes given by
+ * `create()` are kept, those added by `update()` are removed before the
+ * menuitem displays other menu data.  Clicking in an element with the class
+ * `opti_menuicon1` or `opti_menuicon2` calls Action listeners as the icons of
+ * the default layout do.  Each menu has its own object inheriting from the
+ * renderer, with `_optiMenu` the menu.
+ *
+ * Lifecycle:
+ *
+ * `OptiMenu.destroy()` removes everything the menu added to its container,
+ * the document and the window: nodes, classes, attributes, listeners, timers
+ * and any open submenu or popup.  The container is left as it was given.
+ * `OptiMenu.reinit(menuCntnr, win, options)` destroys the menu and builds it
+ * again, in the same or another container, keeping its menu data, selection,
+ * filter and activity listeners.
+ *
  * Usage:
  *
  * <div id="optimenu_container"></div>
@@ -128,11 +254,93 @@
  *
  *   This value can also be updated after the menu is constructed by calling
  *   `OptiMenu.setMenuTextWidthCorrectionOffset()`.
+ * @param {boolean} typeToSearch optional - setting this to `true` will build
+ *   a search query (see `OptiMenu.setSearch()`) from keys typed while the menu
+ *   has focus.
+ * @param {boolean} typeAhead optional - setting this to `true` will move the
+ *   key hovered menuitem to the next menuitem whose text begins with the keys
+ *   typed while the menu has focus, as in a native `<select>` list.  Ignored
+ *   if `typeToSearch` is set.
+ * @param {function} getKey optional - called with a menu data object, returns
+ *   a key identifying it across calls to `OptiMenu.updateMenu()`.  If not
+ *   set, the `key` property of menu data objects is used if present.  See
+ *   `OptiMenu.updateMenu()`.
+ * @param {boolean} dragReorder optional - setting this to `true` enables
+ *   reordering by drag and drop.  A drop indicator is displayed where the
+ *   dragged menuitems will land, the menu scrolls when dragging near its top
+ *   or bottom edge, and drop listeners are given the computed drop index and
+ *   position.  Menuitems can be dragged without first being selected.
+ * @param {boolean} dragReorderApply optional - setting this to `true` along
+ *   with `dragReorder` will move the dropped menu data in the menu itself.
+ * @param {boolean} dragDropOnto optional - setting this to `true` along with
+ *   `dragReorder` allows dropping onto the middle of a menuitem, with a drop
+ *   position of "on", rather than only before or after it.
+ * @param {boolean} nativeDragDrop optional - setting this to `true` uses HTML5
+ *   drag and drop rather than mouse events, so menuitems can be dragged to
+ *   other elements, documents and windows, and data dragged from elsewhere
+ *   can be dropped on the menu.  The drop indicator, auto-scrolling and drop
+ *   index of `dragReorder` are always in effect.
+ * @param {function} dragSerializer optional - for `nativeDragDrop`, called
+ *   with an array of the dragged menu data, returns an object whose
+ *   properties are MIME types and values the data to set on the
+ *   DataTransfer for each type.  Defaults to the menutext of each, one per
+ *   line, as "text/plain".
+ * @param {array} nativeDropTypes optional - for `nativeDragDrop`, the MIME
+ *   types accepted when dropping data from elsewhere.  If not set, all drops
+ *   are accepted.
+ * @param {string} dragGroup optional - menuitems can be dragged between
+ *   instances with the same dragGroup.  The instance dragged over displays
+ *   the drop indicator, and the drop listeners of both the source and target
+ *   instances are called.
+ * @param {object} menuitemTypeHeights optional - heights in pixels of
+ *   menuitems by the `menuitemType` of their menu data, eg `{ separator: 7 }`.
+ *   See "Variable height menuitems" above.
+ * @param {boolean} stickyGroupHeaders optional - setting this to `true` keeps
+ *   the header of the group at the top of the menu pinned there while the
+ *   group scrolls beneath it.  See "Groups" above.
+ * @param {boolean} treeMode optional - setting this to `true` displays menu
+ *   data as a tree.  See "Tree mode" above.
+ * @param {function} loadChildren optional - for `treeMode`, called with menu
+ *   data which has `hasChildren` set but no `children` when it is expanded,
+ *   returns an array (or a promise of an array) of its children.
+ * @param {integer} treeIndent optional - for `treeMode`, pixels by which each
+ *   level of the tree is indented.  Defaults to 16.
+ * @param {integer} submenuDelay optional - milliseconds the mouse must hover a
+ *   menuitem before its submenu opens, or another menuitem before the open
+ *   submenu closes.  Defaults to 300.
+ * @param {string} submenuIconUrl optional - url of the suffix icon of
+ *   menuitems with a submenu, unless they have their own `menuiconurl2`.
+ *   Defaults to a chevron.
+ * @param {integer} submenuWidth optional - width in pixels of submenus.
+ *   Defaults to the width of the menu.
+ * @param {integer} submenuMaxHeight optional - height in pixels beyond which
+ *   submenus scroll.  Defaults to the height of the window.
+ * @param {string} selectionMode optional - "none", "single", "multiple" or
+ *   "checkbox".  Defaults to "multiple".  See "Selection" above.
+ * @param {object} renderer optional - an object with `create()` and
+ *   `update(menuitem, data, index)` functions which create and update
+ *   menuitems in place of the default prefix icon, menutext and suffix icon.
+ *   See "Custom menuitems" above.
  */
 function OptiMenu(menuCntnr, win, options) {
   this.window = win;
   this.menuCntnr = menuCntnr;
 
+  // Menu data and activity listeners belong to the instance, and are kept by
+  // reinit().
+  this._currentMenuData = [];
+  this._displayMenuData = [];
+  this.treeRoots = [];
+  this.activityDDListeners = [];
+  this.activityDDListenersMap = new WeakMap();
+  this.activityMouseListeners = [];
+  this.activityMouseListenersMap = new WeakMap();
+  this.activityActionListeners = [];
+  this.activityActionListenersMap = new WeakMap();
+  this.activitySelectionListeners = [];
+  this.activitySelectionListenersMap = new WeakMap();
+  this.eventListeners = new Map();
+
   this.init(options);
 }
 
@@ -144,6 +352,73 @@ OptiMenu.prototype = {
   menuItemLeadSpaceCorrection: 6,
   menuTextWidthCorrectionOffset: 0,
   _currentMenuData: [],
+  // The menu data which is actually displayed, ie, the entries of
+  // _currentMenuData which pass the filter (see setFilter()).  When there is
+  // no filter this is _currentMenuData itself.
+  _displayMenuData: [],
+  menuFilter: null,
+  // Whether a group is collapsed, in which case _displayMenuData omits its
+  // menu data.
+  hasCollapsedGroup: false,
+  stickyGroupHeaders: false,
+  // Display indices of group headers, for the sticky group header.  null
+  // until needed after _displayMenuData changes.
+  groupHeaderDisplayIndices: null,
+  // Index in menuCntnr.childNodes of the first menuitem, following the
+  // prespacer and, if stickyGroupHeaders is set, the sticky group header.
+  firstMenuitemNodeIndex: 1,
+  treeMode: false,
+  loadChildren: null,
+  treeIndent: 16,
+  selectionMode: "multiple",
+  // The root menu data in tree mode.
+  treeRoots: [],
+  submenuDelay: 300,
+  submenuIconUrl: "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 12 12'%3E" +
+                  "%3Cpath d='M4 2l4 4-4 4' fill='none' stroke='%23555' stroke-width='1.5'/%3E%3C/svg%3E",
+  submenuWidth: 0,
+  submenuMaxHeight: 0,
+  // The child OptiMenu displaying submenus, created when first needed and
+  // reused, and the menu data whose submenu is open.
+  submenu: null,
+  submenuData: null,
+  submenuTimer: null,
+  submenuTimerData: null,
+  // The OptiMenu this is a submenu of.
+  parentMenu: null,
+  // Set on menus opened by OptiMenu.openPopup() until they close, along with
+  // the element which had focus before, to return focus to.
+  isPopupOpen: false,
+  popupPreviousFocus: null,
+  maxVisibleRows: 10,
+  // Command menu data, or a function providing it, for the context menu (see
+  // setContextMenu()), the open context menu popup and the menu data it is
+  // for.
+  contextMenu: null,
+  contextMenuPopup: null,
+  contextMenuTargets: null,
+  // The menuitem frozen by openContextMenu(), if any.
+  contextMenuFrozenItem: null,
+  // Set on a context menu popup, the menu it is the context menu of.
+  contextMenuOwner: null,
+  searchQuery: "",
+  typeToSearch: false,
+  getKey: null,
+  dragReorder: false,
+  dragReorderApply: false,
+  dragDropOnto: false,
+  nativeDragDrop: false,
+  dragSerializer: null,
+  nativeDropTypes: null,
+  dragGroup: null,
+  menuitemTypeHeights: null,
+  // Prefix sums of menuitem heights, menuitemOffsets[i] being the offset of
+  // display index i from the top of the menu and menuitemOffsets[length] the
+  // total height.  null while every menuitem is miHeight tall, in which case
+  // offsets are simply calculated.
+  menuitemOffsets: null,
+  minMenuitemHeight: 0,
+  prevTotalHeight: 0,
   currentMenuFillTotalHeight: 0,
   currentMenuMaxScroll: 0,
   currentMenuMaxTopIndex: 0,
@@ -155,16 +430,58 @@ OptiMenu.prototype = {
   currentIndex: 0,
   hideBrokenImageIcons: false,
 
-  activityDDListeners: [],
-  activityDDListenersMap: new WeakMap(),
-  activityMouseListeners: [],
-  activityMouseListenersMap: new WeakMap(),
-  activityActionListeners: [],
-  activityActionListenersMap: new WeakMap(),
+  // Created for each instance by the constructor.
+  activityDDListeners: null,
+  activityDDListenersMap: null,
+  activityMouseListeners: null,
+  activityMouseListenersMap: null,
+  activityActionListeners: null,
+  activityActionListenersMap: null,
+  activitySelectionListeners: null,
+  activitySelectionListenersMap: null,
+  // Listeners added by on(), arrays of { callback, once } by event type.
+  eventListeners: null,
+
+  // Used for generating unique menuitem ids, needed for aria-activedescendant.
+  instanceId: 0,
+
+  // The options the menu was constructed with, for reinit().
+  options: null,
+  // Whether init() set the tabindex of menuCntnr, so destroy() removes it.
+  addedTabIndex: false,
+  isDestroyed: false,
 
   init(options) {
+    this.options = options || null;
+    this.isDestroyed = false;
     let selectedPlusHover = (options && options.selectedPlusHover) || false;
     this.hideBrokenImageIcons = (options && options.hideBrokenImageIcons) || false;
+    this.typeToSearch = (options && options.typeToSearch) || false;
+    this.typeAhead = (options && options.typeAhead) || false;
+    this.getKey = (options && options.getKey) || null;
+    this.dragReorder = (options && options.dragReorder) || false;
+    this.dragReorderApply = (options && options.dragReorderApply) || false;
+    this.dragDropOnto = (options && options.dragDropOnto) || false;
+    this.nativeDragDrop = (options && options.nativeDragDrop) || false;
+    this.dragSerializer = (options && options.dragSerializer) || null;
+    this.nativeDropTypes = (options && options.nativeDropTypes) || null;
+    this.dragGroup = (options && options.dragGroup) || null;
+    this.menuitemTypeHeights = (options && options.menuitemTypeHeights) || null;
+    this.stickyGroupHeaders = (options && options.stickyGroupHeaders) || false;
+    this.treeMode = (options && options.treeMode) || false;
+    this.loadChildren = (options && options.loadChildren) || null;
+    this.treeIndent = (options && options.treeIndent) || this.treeIndent;
+    this.submenuDelay = (options && options.submenuDelay) || this.submenuDelay;
+    this.submenuIconUrl = (options && options.submenuIconUrl) || this.submenuIconUrl;
+    this.submenuWidth = (options && options.submenuWidth) || 0;
+    this.submenuMaxHeight = (options && options.submenuMaxHeight) || 0;
+    this.selectionMode = (options && options.selectionMode) || "multiple";
+
+    // select and dragDrop hold state for the instance, so each instance needs
+    // its own, inheriting their methods.
+    this.select = Object.create(OptiMenu.prototype.select);
+    this.dragDrop = Object.create(OptiMenu.prototype.dragDrop);
+    this.renderer = Object.create((options && options.renderer) || OptiMenu.prototype.renderer);
     this.menuTextWidthCorrectionOffset =
       (options && options.menuTextWidthCorrectionOffset) || this.menuTextWidthCorrectionOffset;
 
@@ -172,8 +489,21 @@ OptiMenu.prototype = {
     this.select.menuCntnr = this.menuCntnr;
     this.dragDrop._optiMenu = this;
     this.dragDrop.menuCntnr = this.menuCntnr;
+    this.renderer._optiMenu = this;
+    this.select.selectedMenuData = new Set();
+
+    if (this.dragGroup) {
+      OptiMenu.dragGroupMenus.add(this);
+    }
+
+    this.instanceId = OptiMenu.instancesCount++;
 
     this.menuCntnr.classList.add("opti_menu_outer_container");
+    // Scopes the dimensions CSS of the instance (see updateMenuitemDims()).
+    this.menuCntnr.classList.add(this.getScopeClassName());
+    this.menuCntnr.setAttribute("role", this.treeMode ? "tree" : "listbox");
+    this.menuCntnr.classList.add("opti_selectionmode_" + this.selectionMode);
+    this.menuCntnr.setAttribute("aria-multiselectable", this.isMultiSelectable() ? "true" : "false");
     if (selectedPlusHover) {
       this.menuCntnr.classList.add("opti_isselectedplushover");
     }
@@ -190,22 +520,41 @@ OptiMenu.prototype = {
     let icon2 = menuitemInitial.getElementsByClassName("opti_menuicon2")[0];
 
     let miRect = menuitemInitial.getBoundingClientRect();
-    let mtextRect = mtext.getBoundingClientRect();
-    let icon2Rect = icon2.getBoundingClientRect();
     let refDivRect = refDiv.getBoundingClientRect();
 
     this.miHeight = miRect.bottom - miRect.top;
-    this.icon1FullWidth = mtextRect.left - miRect.left;
-    this.icon2FullWidth = refDivRect.left - mtextRect.right;
+    // A custom renderer may have no menutext, whose width only the default
+    // layout needs.
+    if (mtext && icon2) {
+      let mtextRect = mtext.getBoundingClientRect();
+      this.icon1FullWidth = mtextRect.left - miRect.left;
+      this.icon2FullWidth = refDivRect.left - mtextRect.right;
+    }
     this.menuCntnr.removeChild(menuitemInitial);
 
+    if (this.stickyGroupHeaders) {
+      // A single menuitem displays whichever group header is pinned.  It
+      // precedes the prespacer so it sticks to the top of the menu for the
+      // whole scroll range.
+      let stickyHeader = this.createMenuitem();
+      stickyHeader.classList.add("opti_stickyheader");
+      stickyHeader.setAttribute("role", "presentation");
+      stickyHeader.setAttribute("aria-hidden", "true");
+      stickyHeader.style.display = "none";
+      this.menuCntnr.appendChild(stickyHeader);
+      this.opti_stickyheader = stickyHeader;
+      this.firstMenuitemNodeIndex = 2;
+    }
+
     let menuprespacer = document.createElement("div");
     menuprespacer.classList.add("opti_menuprespacer");
+    menuprespacer.setAttribute("role", "presentation");
     this.menuCntnr.appendChild(menuprespacer);
     this.opti_menuprespacer = menuprespacer;
 
     let menupostspacer = document.createElement("div");
     menupostspacer.classList.add("opti_menupostspacer");
+    menupostspacer.setAttribute("role", "presentation");
     this.menuCntnr.appendChild(menupostspacer);
     this.opti_menupostspacer = menupostspacer;
 
@@ -220,109 +569,392 @@ OptiMenu.prototype = {
     this.menuCntnr.addEventListener("wheel", this, true);
     this.menuCntnr.addEventListener("scroll", this, true);
 
-    // TODO: beginnings of keyboard navigation
-    //this.menuCntnr.addEventListener("mouseover", this);
-    //this.menuCntnr.addEventListener("mouseout", this);
-    //this.window.addEventListener("keydown", this);
+    this.menuCntnr.addEventListener("mousemove", this);
+    this.menuCntnr.addEventListener("keydown", this);
+    this.menuCntnr.addEventListener("mouseleave", this);
+    this.menuCntnr.addEventListener("focusout", this);
+    this.menuCntnr.addEventListener("contextmenu", this);
+
+    if (this.nativeDragDrop) {
+      this.menuCntnr.classList.add("opti_nativedragdrop");
+      for (let type of ["dragstart", "dragover", "dragleave", "drop", "dragend"]) {
+        this.menuCntnr.addEventListener(type, this.dragDrop);
+      }
+    }
+
+    // Menu must be focusable to receive keyboard navigation.
+    this.addedTabIndex = !this.menuCntnr.hasAttribute("tabindex");
+    if (this.addedTabIndex) {
+      this.menuCntnr.tabIndex = 0;
+    }
 
     let dragFeedback = document.createElement("div");
-    dragFeedback.id = "opti_dragfeedback";
+    dragFeedback.className = "opti_dragfeedback";
+    dragFeedback.setAttribute("aria-hidden", "true");
     // TODO: append to menuCntnr?
     this.window.document.body.appendChild(dragFeedback);
     this.dragDrop.dragFeedback = dragFeedback;
 
-    let style1 = document.getElementById("optimenu_dynamic_css_menu_dimensions");
-    if (!style1) {
-      style1 = document.createElement("style");
-      style1.id = "optimenu_dynamic_css_menu_dimensions";
-      this.window.document.head.appendChild(style1);
-      this.dynamicCSS1 = style1
-    }
+    let style1 = document.createElement("style");
+    style1.id = "optimenu_dynamic_css_menu_dimensions_" + this.instanceId;
+    this.window.document.head.appendChild(style1);
+    this.dynamicCSS1 = style1;
 
     this.updateMenuitemDims();
   },
 
+  /*
+   * destroy
+   *
+   * Removes the menu's nodes, classes and attributes from menuCntnr, its
+   * listeners from menuCntnr, the document and the window, its timers, and
+   * any submenu, context menu or drag in progress.  A popup is closed, which
+   * destroys it.  Activity listeners are kept, for reinit().  Calling it again
+   * does nothing.
+   */
+  destroy() {
+    if (this.isDestroyed) {
+      return;
+    }
+    if (this.isPopupOpen) {
+      // closePopup() destroys the popup.
+      this.closePopup();
+      return;
+    }
+    this.isDestroyed = true;
+
+    this.closeContextMenu();
+    this.closeSubmenu();
+    if (this.submenu) {
+      this.submenu.destroy();
+      this.submenu.menuCntnr.remove();
+      this.submenu = null;
+    }
+    this.window.clearTimeout(this.typeAheadTimer);
+    this.typeAheadTimer = null;
+    this.typeAheadBuffer = "";
+
+    let dragDrop = this.dragDrop;
+    dragDrop.dragEnd();
+    dragDrop.endDragSession();
+    dragDrop.clearDropTarget();
+    dragDrop.dragFeedback.remove();
+    OptiMenu.dragGroupMenus.delete(this);
+
+    this.window.removeEventListener("mouseup", this);
+    this.window.removeEventListener("resize", this);
+    this.window.removeEventListener("mousedown", this, true);
+    for (let type of ["mousedown", "click", "overflow", "underflow", "mousemove",
+                      "keydown", "mouseleave", "focusout", "contextmenu"]) {
+      this.menuCntnr.removeEventListener(type, this);
+    }
+    this.menuCntnr.removeEventListener("wheel", this, true);
+    this.menuCntnr.removeEventListener("scroll", this, true);
+    for (let type of ["dragstart", "dragover", "dragleave", "drop", "dragend"]) {
+      this.menuCntnr.removeEventListener(type, dragDrop);
+    }
+
+    this.dynamicCSS1.remove();
+    this.dynamicCSS1 = null;
+
+    // The sticky header, the spacers and the menuitems between them.
+    if (this.opti_stickyheader) {
+      this.opti_stickyheader.remove();
+    }
+    let node = this.opti_menuprespacer;
+    while (node) {
+      let next = node == this.opti_menupostspacer ? null : node.nextSibling;
+      node.remove();
+      node = next;
+    }
+
+    let menuCntnr = this.menuCntnr;
+    for (let className of Array.from(menuCntnr.classList)) {
+      if (className.startsWith("opti_")) {
+        menuCntnr.classList.remove(className);
+      }
+    }
+    for (let name of ["role", "aria-multiselectable", "aria-activedescendant"]) {
+      menuCntnr.removeAttribute(name);
+    }
+    if (this.addedTabIndex) {
+      menuCntnr.removeAttribute("tabindex");
+    }
+
+    // Display state is rebuilt by init() and updateMenu() from the prototype
+    // defaults.  Measurements are taken again, as the stylesheet, container or
+    // renderer may have changed.
+    for (let name of ["opti_stickyheader", "opti_menuprespacer", "opti_menupostspacer",
+                      "firstMenuitemNodeIndex", "prevItemsCount", "prevCntnrWid",
+                      "prevTotalHeight", "currentIndex", "frozenHoveredItem",
+                      "isKeyNavigating", "keyHoveredIndex", "inhibitClick",
+                      "clearSelectionOnMouseRelease", "submenuData",
+                      "contextMenuFrozenItem", "miHeight", "icon1FullWidth",
+                      "icon2FullWidth", "wheelScrollDistance", "menuitemOffsets",
+                      "minMenuitemHeight", "groupHeaderDisplayIndices",
+                      "currentMenuFillTotalHeight", "currentMenuMaxScroll",
+                      "currentMenuMaxTopIndex"]) {
+      delete this[name];
+    }
+  },
+
+  /*
+   * reinit
+   *
+   * Destroys the menu (see destroy()) and builds it again, keeping its menu
+   * data, selection, filter and activity listeners.
+   *
+   * @param menuCntnr DOM element optional - the container to move the menu
+   *   to.  Defaults to the current container.
+   * @param win window optional - the window of menuCntnr.  Defaults to the
+   *   current window.
+   * @param options object optional - constructor options.  Defaults to the
+   *   options the menu was constructed with.
+   */
+  reinit(menuCntnr, win, options) {
+    let menuData = this.treeMode ? this.treeRoots : this._currentMenuData;
+    let selectedMenuData = this.select.selectedMenuData;
+    this.destroy();
+
+    this.menuCntnr = menuCntnr || this.menuCntnr;
+    this.window = win || this.window;
+    this.init(options || this.options);
+    // Restored before updateMenu() so the selection doesn't change.
+    this.select.selectedMenuData = selectedMenuData;
+    this.updateMenu(menuData);
+  },
+
 ///////////////////////////////////////////////////////////////////////////////
 ///////////////////////////////////////////////////////////////////////////////
 // ACTIVITY LISTENERS
 
   addActivityDDListener(callback) {
-    if (this.activityDDListenersMap[callback]) {
+    if (this.activityDDListenersMap.has(callback)) {
       return;
     }
-    this.activityDDListenersMap[callback];
+    this.activityDDListenersMap.set(callback, true);
     this.activityDDListeners.push(callback);
   },
 
   removeActivityDDListener(callback) {
-    if (this.activityDDListenersMap[callback]) {
+    if (!this.activityDDListenersMap.has(callback)) {
       return;
     }
+    this.activityDDListenersMap.delete(callback);
+    let listeners = this.activityDDListeners;
+    listeners.splice(listeners.indexOf(callback), 1);
   },
 
   callActivityDDListeners(e) {
-    for (let listener of this.activityDDListeners) {
+    // A copy, as listeners may remove themselves.
+    for (let listener of this.activityDDListeners.slice()) {
       listener(e);
     }
+    this.callEventListeners(e.hybridType, e);
   },
 
   addActivityMouseListener(callback) {
-    if (this.activityMouseListenersMap[callback]) {
+    if (this.activityMouseListenersMap.has(callback)) {
       return;
     }
-    this.activityMouseListenersMap[callback];
+    this.activityMouseListenersMap.set(callback, true);
     this.activityMouseListeners.push(callback);
   },
 
   removeActivityMouseListener(callback) {
-    if (this.activityMouseListenersMap[callback]) {
+    if (!this.activityMouseListenersMap.has(callback)) {
       return;
     }
+    this.activityMouseListenersMap.delete(callback);
+    let listeners = this.activityMouseListeners;
+    listeners.splice(listeners.indexOf(callback), 1);
   },
 
   callActivityMouseListeners(e) {
-    for (let listener of this.activityMouseListeners) {
+    // Submenus call the listeners of the menu they were opened from, with
+    // event.opti_submenu the submenu.
+    if (this.parentMenu) {
+      e.opti_submenu = e.opti_submenu || this;
+      this.parentMenu.callActivityMouseListeners(e);
+      return;
+    }
+    // Mouse events of a context menu are its own business.
+    if (this.contextMenuOwner) {
+      return;
+    }
+    for (let listener of this.activityMouseListeners.slice()) {
       listener(e);
     }
   },
 
   addActivityActionListener(callback) {
-    if (this.activityActionListenersMap[callback]) {
+    if (this.activityActionListenersMap.has(callback)) {
       return;
     }
-    this.activityActionListenersMap[callback];
+    this.activityActionListenersMap.set(callback, true);
     this.activityActionListeners.push(callback);
   },
 
   removeActivityActionListener(callback) {
-    if (this.activityActionListenersMap[callback]) {
+    if (!this.activityActionListenersMap.has(callback)) {
       return;
     }
+    this.activityActionListenersMap.delete(callback);
+    let listeners = this.activityActionListeners;
+    listeners.splice(listeners.indexOf(callback), 1);
   },
 
   callActivityActionListeners(e) {
-    for (let listener of this.activityActionListeners) {
+    if (this.parentMenu) {
+      e.opti_submenu = e.opti_submenu || this;
+      this.parentMenu.callActivityActionListeners(e);
+      return;
+    }
+    if (this.contextMenuOwner) {
+      this.contextMenuOwner.handleContextMenuAction(e);
+      return;
+    }
+    for (let listener of this.activityActionListeners.slice()) {
+      listener(e);
+    }
+    this.callEventListeners(e.hybridType, e);
+  },
+
+  addActivitySelectionListener(callback) {
+    if (this.activitySelectionListenersMap.has(callback)) {
+      return;
+    }
+    this.activitySelectionListenersMap.set(callback, true);
+    this.activitySelectionListeners.push(callback);
+  },
+
+  removeActivitySelectionListener(callback) {
+    if (!this.activitySelectionListenersMap.has(callback)) {
+      return;
+    }
+    this.activitySelectionListenersMap.delete(callback);
+    let listeners = this.activitySelectionListeners;
+    listeners.splice(listeners.indexOf(callback), 1);
+  },
+
+  callActivitySelectionListeners(e) {
+    for (let listener of this.activitySelectionListeners.slice()) {
       listener(e);
     }
+    this.callEventListeners(e.hybridType, e);
+  },
+
+  /*
+   * on
+   *
+   * Adds a listener for one type of menu event, called with the event
+   * activity listeners are called with.  The types are the `hybridType`s of
+   * DD, Action and Selection listeners, eg "dragstart", "drop",
+   * "action1click", "action2click", "menuitemclick" and "selectionchange",
+   * plus "scroll" when the menu scrolls and "render" when menuitems are
+   * updated.  Adding the same listener for a type again does nothing.
+   *
+   * @param type string - the event type.
+   * @param callback function - the listener.
+   * @param options object optional - `once` removes the listener after it is
+   *   first called, `signal` is an AbortSignal which removes the listener
+   *   when aborted.
+   */
+  on(type, callback, options) {
+    let signal = options && options.signal;
+    if (signal && signal.aborted) {
+      return;
+    }
+    let listeners = this.eventListeners.get(type);
+    if (!listeners) {
+      listeners = [];
+      this.eventListeners.set(type, listeners);
+    }
+    if (listeners.some(listener => listener.callback == callback)) {
+      return;
+    }
+    let listener = { callback, once: !!(options && options.once), signal: null, onAbort: null };
+    listeners.push(listener);
+    if (signal) {
+      // Removes only this listener, not the same callback added again after
+      // this one was removed.
+      listener.signal = signal;
+      listener.onAbort = () => this.removeEventListenerEntry(type, listener);
+      signal.addEventListener("abort", listener.onAbort, { once: true });
+    }
+  },
+
+  off(type, callback) {
+    let listeners = this.eventListeners.get(type);
+    let listener = listeners && listeners.find(listener => listener.callback == callback);
+    if (listener) {
+      this.removeEventListenerEntry(type, listener);
+    }
+  },
+
+  removeEventListenerEntry(type, listener) {
+    let listeners = this.eventListeners.get(type);
+    let index = listeners ? listeners.indexOf(listener) : -1;
+    if (index < 0) {
+      return;
+    }
+    listeners.splice(index, 1);
+    if (!listeners.length) {
+      this.eventListeners.delete(type);
+    }
+    if (listener.signal) {
+      listener.signal.removeEventListener("abort", listener.onAbort);
+    }
+  },
+
+  once(type, callback, options) {
+    this.on(type, callback, Object.assign({}, options, { once: true }));
+  },
+
+  hasEventListeners(type) {
+    return this.eventListeners.has(type);
+  },
+
+  callEventListeners(type, e) {
+    let listeners = this.eventListeners.get(type);
+    if (!listeners) {
+      return;
+    }
+    for (let listener of listeners.slice()) {
+      if (listener.once) {
+        this.removeEventListenerEntry(type, listener);
+      }
+      listener.callback(e);
+    }
   },
 
 ///////////////////////////////////////////////////////////////////////////////
 ///////////////////////////////////////////////////////////////////////////////
 // MENU CONSTRUCTION
 
-  updateMenuStructure(itemsCount) {
+  /*
+   * updateMenuStructure
+   *
+   * Creates or removes menuitems as needed for itemsCount, and recalculates
+   * the psuedo-scroll dimensions.
+   *
+   * @param itemsCount number - the number of menu data entries displayed.
+   * @param fromIndex number optional - see updateMenuDisplay().
+   */
+  updateMenuStructure(itemsCount, fromIndex) {
     this.prevItemsCount = itemsCount;
 
     let viewPortTop = this.menuCntnr.getBoundingClientRect().top;
     let viewPortBot = this.menuCntnr.getBoundingClientRect().bottom;
     let tlHeight = viewPortBot - viewPortTop;
 
-    let psuedoListTotalHeight = this.miHeight * itemsCount;
-    let minMenuitemsCount = Math.min((Math.ceil(tlHeight / this.miHeight) + 1), itemsCount);
-    let miSpaceHeight = minMenuitemsCount * this.miHeight;
-    this.currentMenuFillTotalHeight = psuedoListTotalHeight - miSpaceHeight;
+    let psuedoListTotalHeight = this.getIndexOffset(itemsCount);
+    this.prevTotalHeight = psuedoListTotalHeight;
+    // Enough menuitems to fill the view even if they are all the shortest.
+    let minHeight = this.menuitemOffsets ? this.minMenuitemHeight : this.miHeight;
+    let minMenuitemsCount = Math.min((Math.ceil(tlHeight / minHeight) + 1), itemsCount);
 
-    let currentMenuitemsCount = this.menuCntnr.childNodes.length - 2;
+    let currentMenuitemsCount = this.getMenuitemsCount();
     let itemsToAddCount =  minMenuitemsCount - currentMenuitemsCount;
 
     if (itemsToAddCount > 0) {
@@ -336,51 +968,186 @@ OptiMenu.prototype = {
     } else if (itemsToAddCount < 0) {
       let removeCount = 0 - itemsToAddCount;
       for (let i=0;i<removeCount;i++) {
-        this.menuCntnr.removeChild(this.menuCntnr.firstChild.nextSibling);
+        this.menuCntnr.removeChild(this.opti_menuprespacer.nextSibling);
       }
     }
 
-    this.currentMenuMaxScroll = (itemsCount * this.miHeight) - tlHeight;
+    this.currentMenuMaxScroll = psuedoListTotalHeight - tlHeight;
     this.currentMenuMaxTopIndex = itemsCount - minMenuitemsCount;
+    this.currentMenuFillTotalHeight = this.getIndexOffset(this.currentMenuMaxTopIndex);
 
     // Force a refresh of the menu.
-    this.psuedoScroll(this.menuCntnr.scrollTop, true);
+    this.psuedoScroll(this.menuCntnr.scrollTop, true, fromIndex);
   },
 
+  getMenuitemsCount() {
+    return this.menuCntnr.childNodes.length - this.firstMenuitemNodeIndex - 1;
+  },
+
+  /*
+   * createMenuitem
+   *
+   * Creates a menuitem with the renderer, and adds what the menu needs of it,
+   * whatever the renderer: its class, id, role, the tree twisty and the
+   * selection checkbox.
+   */
   createMenuitem() {
-    let menuitem = document.createElement('div');
-    let menuicon1 = document.createElement('img');
-    let menutext = document.createElement('div');
-    let menuicon2 = document.createElement('img');
+    let menuitem = this.renderer.create();
+    let firstContentNode = menuitem.firstChild;
 
-    menuitem.className = "opti_menuitem";
+    menuitem.classList.add("opti_menuitem");
+    menuitem.setAttribute("role", this.treeMode ? "treeitem" : "option");
     menuitem.isOptiMenuitem = true;
-    menuitem.opti_menutext = menutext;
-    menuitem.opti_menuicon1 = menuicon1;
-    menuitem.opti_menuicon2 = menuicon2;
-
-    menuicon1.className = "opti_menuicon1";
-    menuicon1.opti_menuitem = menuitem;
-    if (this.hideBrokenImageIcons) {
-      menuicon1.addEventListener("error", e => { e.target.style.opacity = "0"; });
+    // The classes given by the renderer's create() are kept as menu data is
+    // displayed, see setMenuitemProperties().
+    menuitem.opti_createdClasses = new Set(menuitem.classList);
+
+    // For code reading event.target.opti_menuitem.  The menu itself uses
+    // getMenuitemFromNode(), which also finds content added by update().
+    for (let node of menuitem.querySelectorAll("*")) {
+      node.opti_menuitem = menuitem;
     }
 
-    menutext.className = "opti_menutext";
-    menutext.opti_menuitem = menuitem;
+    if (this.nativeDragDrop) {
+      // Drag the menuitem, not its images.
+      menuitem.draggable = true;
+      for (let img of menuitem.querySelectorAll("img")) {
+        img.draggable = false;
+      }
+    }
 
-    menuicon2.className = "opti_menuicon2";
-    menuicon2.opti_menuitem = menuitem;
-    if (this.hideBrokenImageIcons) {
-      menuicon2.addEventListener("error", e => { e.target.style.opacity = "0"; });
+    if (this.treeMode) {
+      // The twisty precedes icon1, so its width is included in
+      // icon1FullWidth.
+      let twisty = document.createElement('div');
+      twisty.className = "opti_treetwisty";
+      twisty.opti_menuitem = menuitem;
+      menuitem.opti_treetwisty = twisty;
+      menuitem.insertBefore(twisty, firstContentNode);
     }
 
-    menuitem.appendChild(menuicon1);
-    menuitem.appendChild(menutext);
-    menuitem.appendChild(menuicon2);
+    if (this.selectionMode == "checkbox") {
+      // Also included in icon1FullWidth.
+      let checkbox = document.createElement('div');
+      checkbox.className = "opti_checkbox";
+      checkbox.setAttribute("aria-hidden", "true");
+      checkbox.opti_menuitem = menuitem;
+      if (this.nativeDragDrop) {
+        checkbox.draggable = false;
+      }
+      menuitem.opti_checkbox = checkbox;
+      menuitem.insertBefore(checkbox, firstContentNode);
+    }
 
     return menuitem;
   },
 
+///////////////////////////////////////////////////////////////////////////////
+///////////////////////////////////////////////////////////////////////////////
+// RENDERER
+
+// The renderer creates the menuitems of the pool which displays the menu, and
+// updates them whenever they display menu data, so they must be fully updated
+// by each call of update(), whatever they displayed before.  The default
+// renderer displays the prefix icon, menutext and suffix icon of menu data.
+// See the `renderer` option of the constructor.
+
+  renderer: {
+    _optiMenu: null,
+
+    /*
+     * create
+     *
+     * @return DOM element - a new, empty menuitem.
+     */
+    create() {
+      let menuitem = document.createElement('div');
+      let menuicon1 = document.createElement('img');
+      let menutext = document.createElement('div');
+      let menuicon2 = document.createElement('img');
+      let hideBrokenImageIcons = this._optiMenu.hideBrokenImageIcons;
+
+      menuitem.opti_menutext = menutext;
+      menuitem.opti_menuicon1 = menuicon1;
+      menuitem.opti_menuicon2 = menuicon2;
+
+      menuicon1.className = "opti_menuicon1";
+      menuicon1.alt = "";
+      if (hideBrokenImageIcons) {
+        menuicon1.addEventListener("error", e => { e.target.style.opacity = "0"; });
+      }
+
+      menutext.className = "opti_menutext";
+
+      menuicon2.className = "opti_menuicon2";
+      menuicon2.alt = "";
+      if (hideBrokenImageIcons) {
+        menuicon2.addEventListener("error", e => { e.target.style.opacity = "0"; });
+      }
+
+      menuitem.appendChild(menuicon1);
+      menuitem.appendChild(menutext);
+      menuitem.appendChild(menuicon2);
+
+      return menuitem;
+    },
+
+    /*
+     * update
+     *
+     * Displays menu data in a menuitem.  The menu has already set the
+     * menuitem's classes (see setMenuitemProperties()), so it may add its
+     * own.
+     *
+     * @param menuitem DOM element - a menuitem created by create().
+     * @param data object - the menu data to display.
+     * @param index number - the index of data in the full menu data.
+     */
+    update(menuitem, data, index) {
+      let optiMenu = this._optiMenu;
+      if (typeof data.menutextstr == "string") {
+        // opti_matchIndices is left from the last search, so only use it
+        // while searching (a query of only spaces is no search).
+        if (optiMenu.getSearchTerm() && data.opti_matchIndices) {
+          optiMenu.setHighlightedMenuText(menuitem.opti_menutext, data.menutextstr, data.opti_matchIndices);
+        } else {
+          menuitem.opti_menutext.textContent = data.menutextstr;
+        }
+      } else {
+        menuitem.opti_menutext.textContent = "";
+        menuitem.opti_menutext.appendChild(data.menutextstr.cloneNode(true));
+      }
+
+      if (data.menuiconurl1) {
+        menuitem.opti_menuicon1.src = data.menuiconurl1;
+        menuitem.opti_menuicon1.style.opacity = "1";
+      } else {
+        // If existing icon is "broken", removing src attribute won't clear it,
+        // and setting to null value also results in a "broken" icon.  Instead,
+        // we make it invisible.
+        menuitem.opti_menuicon1.style.opacity = "0";
+      }
+
+      if (data.noPrefixIcon) {
+        menuitem.classList.add("opti_menuitem_icon1_hide");
+      }
+
+      let menuiconurl2 = data.menuiconurl2 || (data.submenu ? optiMenu.submenuIconUrl : null);
+      if (menuiconurl2) {
+        menuitem.opti_menuicon2.src = menuiconurl2;
+        menuitem.opti_menuicon2.style.opacity = "1";
+      } else {
+        // If existing icon is "broken", removing src attribute won't clear it,
+        // and setting to null value also results in a "broken" icon.  Instead,
+        // we make it invisible.
+        menuitem.opti_menuicon2.style.opacity = "0";
+      }
+      if (data.noSuffixIcon) {
+        menuitem.classList.add("opti_menuitem_icon2_hide");
+      }
+    },
+  },
+
 ///////////////////////////////////////////////////////////////////////////////
 ///////////////////////////////////////////////////////////////////////////////
 // MENU DISPLAY BACKEND
@@ -390,6 +1157,121 @@ OptiMenu.prototype = {
     for (let i = 0; i < len; i++) {
       this._currentMenuData[i].opti_index = i;
     }
+    this.applyMenuFilter();
+  },
+
+  getMenuDataHeight(data) {
+    if (data.menuitemHeight) {
+      return data.menuitemHeight;
+    }
+    let typeHeights = this.menuitemTypeHeights;
+    if (data.menuitemType && typeHeights && typeHeights[data.menuitemType]) {
+      return typeHeights[data.menuitemType];
+    }
+    return this.miHeight;
+  },
+
+  /*
+   * indexMenuHeights
+   *
+   * Updates menuitemOffsets for _displayMenuData.  Must be called whenever
+   * _displayMenuData changes.
+   *
+   * @param fromIndex number optional - offsets up to and including this index
+   *   are unchanged.
+   */
+  indexMenuHeights(fromIndex = 0) {
+    this.groupHeaderDisplayIndices = null;
+
+    let _displayMenuData = this._displayMenuData;
+    let len = _displayMenuData.length;
+    let prevOffsets = this.menuitemOffsets;
+    fromIndex = Math.min(fromIndex, len);
+
+    if (!prevOffsets) {
+      // Fixed height fast path, unless some menu data now has its own height.
+      let i = fromIndex;
+      while (i < len && this.getMenuDataHeight(_displayMenuData[i]) == this.miHeight) {
+        i++;
+      }
+      if (i == len) {
+        return;
+      }
+    }
+
+    let offsets = new Float64Array(len + 1);
+    let minHeight = this.miHeight;
+    if (!prevOffsets) {
+      // Menu data preceding fromIndex is all miHeight.
+      for (let i = 1; i <= fromIndex; i++) {
+        offsets[i] = i * this.miHeight;
+      }
+    } else if (fromIndex > 0 && fromIndex < prevOffsets.length) {
+      offsets.set(prevOffsets.subarray(0, fromIndex + 1));
+      minHeight = this.minMenuitemHeight;
+    } else {
+      fromIndex = 0;
+    }
+
+    let offset = offsets[fromIndex];
+    for (let i = fromIndex; i < len; i++) {
+      let height = this.getMenuDataHeight(_displayMenuData[i]);
+      offsets[i] = offset;
+      offset += height;
+      minHeight = Math.min(minHeight, height);
+    }
+    offsets[len] = offset;
+
+    // If the menu data with its own height has since been removed, we can
+    // return to the fast path.
+    let isVariable = minHeight != this.miHeight || offset != len * this.miHeight;
+    this.menuitemOffsets = isVariable ? offsets : null;
+    this.minMenuitemHeight = minHeight;
+  },
+
+  /*
+   * getIndexOffset
+   *
+   * @param index number - display index, clamped to the length of the menu.
+   * @return number - the offset in pixels of the menuitem for index from the
+   *   top of the menu, or the total height of the menu for the length.
+   */
+  getIndexOffset(index) {
+    index = Math.max(0, Math.min(index, this._displayMenuData.length));
+    if (!this.menuitemOffsets) {
+      return index * this.miHeight;
+    }
+    return this.menuitemOffsets[index];
+  },
+
+  /*
+   * getIndexAtOffset
+   *
+   * @param offset number - offset in pixels from the top of the menu.
+   * @return number - the display index of the menuitem at offset.  With
+   *   fixed height menuitems this is not clamped to the length of the menu.
+   */
+  getIndexAtOffset(offset) {
+    let offsets = this.menuitemOffsets;
+    if (!offsets) {
+      return Math.max(0, Math.floor(offset / this.miHeight));
+    }
+    // Binary search for the last menuitem offset not greater than offset.
+    let low = 0;
+    let high = Math.max(0, offsets.length - 2);
+    while (low < high) {
+      let mid = (low + high + 1) >> 1;
+      if (offsets[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  },
+
+  getIndexHeight(index) {
+    return this.getIndexOffset(index + 1) - this.getIndexOffset(index);
   },
 
   /*
@@ -399,35 +1281,80 @@ OptiMenu.prototype = {
    * menuitems if needed.
    *
    * @param _currentMenuData array - An array of objects to update the menu with.
+   *   In tree mode, the root menu data of the tree (see getTreeRoots()).
    * @param deepClone boolean optional - A reference to _currentMenuData is held
    *   and it is possible that properties in the array can be changed later.
    *   This will deep clone the array so that the users passed array will
    *   be unaffected.
+   *
+   * If menu data is keyed (see the getKey option of the constructor), the
+   * new menu data is matched by key with the previous menu data.  isSelected
+   * and isCollapsed are carried over for matching menu data which does not
+   * set them, the key hovered and frozen menuitems follow their menu data,
+   * and the scroll position is anchored to the menu data which was at the
+   * top of the menu, so menu data inserted or removed above it doesn't shift
+   * the menu.
    */
   updateMenu(_currentMenuData, deepClone) {
     // Update _currentMenuData.
+    let keyedState = null;
 
     // We have the option of a deepClone; while it takes longer, may be more
     // convenient.
     if (_currentMenuData) {
+      if (this.treeMode) {
+        this.treeRoots = this.getTreeRoots(_currentMenuData, deepClone);
+        _currentMenuData = this.flattenTree(this.treeRoots, 0, null);
+        deepClone = false;
+      }
+      if (this.isMenuDataKeyed(_currentMenuData)) {
+        keyedState = this.getKeyedMenuState();
+      }
       if (deepClone) {
         this._currentMenuData = _currentMenuData.map(a => Object.assign({}, a));
       } else {
         this._currentMenuData = _currentMenuData.slice();
       }
       this.indexCurrentMenuData();
+      if (keyedState) {
+        this.restoreKeyedMenuState(keyedState);
+      } else {
+        this.keyHoveredIndex = Math.min(this.keyHoveredIndex, this._displayMenuData.length - 1);
+      }
+      this.select.syncSelectionState();
     }
 
     this.updateMenuUI();
+
+    if (keyedState) {
+      this.restoreKeyedMenuPosition(keyedState);
+    }
+
+    let submenuData = this.submenuData;
+    if (submenuData && this._currentMenuData[submenuData.opti_index] !== submenuData) {
+      this.closeSubmenu();
+    }
   },
 
-  updateMenuUI() {
-    if (this._currentMenuData.length != this.prevItemsCount) {
-      this.updateMenuStructure(this._currentMenuData.length)
+  /*
+   * updateMenuUI
+   *
+   * @param fromIndex number optional - see updateMenuDisplay().
+   */
+  updateMenuUI(fromIndex) {
+    // A destroyed menu keeps its menu data up to date, but displays it only
+    // once reinit().
+    if (this.isDestroyed) {
+      return;
+    }
+    let itemsCount = this._displayMenuData.length;
+    if (itemsCount != this.prevItemsCount ||
+        this.getIndexOffset(itemsCount) != this.prevTotalHeight) {
+      this.updateMenuStructure(itemsCount, fromIndex)
     } else {
       // This gets called when updating the scroll structure, otherwise we'll
       // call it now.
-      this.updateMenuDisplay(this.currentIndex);
+      this.updateMenuDisplay(Math.min(this.currentIndex, this.currentMenuMaxTopIndex), fromIndex);
     }
   },
 
@@ -438,98 +1365,1830 @@ OptiMenu.prototype = {
     // Update _currentMenuData.
     this._currentMenuData = _currentMenuData;
     this.indexCurrentMenuData();
-
-    let currentIndex = this.currentIndex;
-    let menuitemsCount = this.menuCntnr.childNodes.length - 2;
-
-    if (index < currentIndex || index > currentIndex + menuitemsCount) {
+    // The menu data at index may have been replaced, or its isSelected
+    // changed.
+    this.select.syncSelectionState();
+
+    if (this.hasDisplayFilter() || this.menuitemOffsets) {
+      // The menuitem may now pass or fail the filter, or change height,
+      // shifting everything after it.
+      this.updateMenuUI();
       return;
     }
 
-    let menuitemAtIndex = this.menuCntnr.childNodes[index - currentIndex + 1];
-    this.setMenuitemProperties(menuitemAtIndex, _currentMenuData[index]);
+    let menuitemAtIndex = this.getMenuitemAtSourceIndex(index);
+    if (!menuitemAtIndex) {
+      return;
+    }
+    this.setMenuitemProperties(menuitemAtIndex, _currentMenuData[index], index);
   },
 
 ///////////////////////////////////////////////////////////////////////////////
 ///////////////////////////////////////////////////////////////////////////////
-// MENU DISPLAY FRONTEND
+// KEYED UPDATES
+
+  getMenuDataKey(data) {
+    return this.getKey ? this.getKey(data) : data.key;
+  },
+
+  isMenuDataKeyed(_currentMenuData) {
+    return !!this.getKey || (_currentMenuData.length > 0 && _currentMenuData[0].key !== undefined);
+  },
 
   /*
-   * updateMenuDisplay
-   * Updates the graphical display of the menu, in the "psuedo-scroll" context.
+   * getKeyedMenuState
    *
-   * {@param} index - index of _currentMenuData to begin displaying menu data
-   *   (in "psuedo-scroll" context, the menu data entry to "scroll" to).
+   * Records the state which updateMenu() carries over to new keyed menu data.
+   * Keys are recorded rather than menu data, since new menu data will
+   * generally be different objects.
    */
-  updateMenuDisplay(index) {
-    index = typeof index == "number" ? index : 0;
-    let _currentMenuData = this._currentMenuData;
-    let nodes = this.menuCntnr.childNodes;
-    let cmDataLen = _currentMenuData.length;
-
-    // First and last nodes are fill spacers.  Ignore those.  Everything else
-    // inbetween are menuitems.
-    let len = (nodes.length - 1);
-    for (let i = 1; i < len; i++) {
-      let menuitem = nodes[i];
-      if (index < cmDataLen) {
-        let data = _currentMenuData[index];
-        this.setMenuitemProperties(menuitem, data, index);
-        index++;
+  getKeyedMenuState() {
+    let prevDataByKey = new Map();
+    for (let data of this._currentMenuData) {
+      let key = this.getMenuDataKey(data);
+      if (key !== undefined && key !== null) {
+        prevDataByKey.set(key, data);
       }
     }
 
-    let _this = this;
-    setTimeout(() => {
-      for (let i = 1; i < 10; i++) {
-        let menuitem = nodes[i];
-      }
-    }, 3000)
+    let keyOf = data => data ? this.getMenuDataKey(data) : undefined;
+    let scrollTop = this.menuCntnr.scrollTop;
+    let topIndex = this.getIndexAtOffset(scrollTop);
+
+    return {
+      prevDataByKey,
+      dataByKey: null,
+      topKey: keyOf(this._displayMenuData[topIndex]),
+      topOffset: scrollTop - this.getIndexOffset(topIndex),
+      keyHoveredKey: keyOf(this._displayMenuData[this.keyHoveredIndex]),
+      frozenKey: keyOf(this.frozenHoveredItem && this.frozenHoveredItem.opti_data),
+      lastSelectedKey: keyOf(this.select.lastSelectedMenuDataItem),
+    };
   },
 
-  setMenuitemProperties(menuitem, data, currentMenuDataIndex) {
-    // ONLY OPTI
-    // TODO: Can some of the properties being explicitly set below just be
-    // accessed through opti_data?
-    menuitem.opti_data = data;
+  restoreKeyedMenuState(state) {
+    let dataByKey = new Map();
+    let isCollapsedCarried = false;
+    let prevDataByKey = state.prevDataByKey;
+    for (let data of this._currentMenuData) {
+      let key = this.getMenuDataKey(data);
+      if (key === undefined || key === null) {
+        continue;
+      }
+      dataByKey.set(key, data);
+      let prevData = prevDataByKey.get(key);
+      if (prevData && prevData.isSelected && data.isSelected === undefined) {
+        data.isSelected = true;
+      }
+      if (prevData && prevData.isCollapsed && data.isGroupHeader &&
+          data.isCollapsed === undefined) {
+        data.isCollapsed = true;
+        isCollapsedCarried = true;
+      }
+    }
+    state.dataByKey = dataByKey;
 
-    menuitem.currentMenuDataIndex = currentMenuDataIndex;
+    if (isCollapsedCarried) {
+      this.applyMenuFilter();
+    }
 
-    if (typeof data.menutextstr == "string") {
-      menuitem.opti_menutext.textContent = data.menutextstr;
+    let keyHoveredData = dataByKey.get(state.keyHoveredKey);
+    if (keyHoveredData && keyHoveredData.opti_displayIndex >= 0) {
+      this.keyHoveredIndex = keyHoveredData.opti_displayIndex;
     } else {
-      menuitem.opti_menutext.textContent = "";
-      menuitem.opti_menutext.appendChild(data.menutextstr.cloneNode(true));
+      this.keyHoveredIndex = Math.min(this.keyHoveredIndex, this._displayMenuData.length - 1);
     }
 
-    // Initialize className..
-    menuitem.className = "opti_menuitem";
+    let lastSelectedData = dataByKey.get(state.lastSelectedKey);
+    this.select.lastSelectedMenuDataItem =
+      lastSelectedData && lastSelectedData.isSelected ? lastSelectedData : null;
+  },
 
-    if (data.menuiconurl1) {
-      menuitem.opti_menuicon1.src = data.menuiconurl1;
-      menuitem.opti_menuicon1.style.opacity = "1";
-    } else {
-      // If existing icon is "broken", removing src attribute won't clear it,
-      // and setting to null value also results in a "broken" icon.  Instead,
-      // we make it invisible.
-      menuitem.opti_menuicon1.style.opacity = "0";
+  restoreKeyedMenuPosition(state) {
+    let topData = state.dataByKey.get(state.topKey);
+    if (topData && topData.opti_displayIndex >= 0) {
+      this.menuCntnr.scrollTop = this.getIndexOffset(topData.opti_displayIndex) + state.topOffset;
+      this.psuedoScroll(this.menuCntnr.scrollTop);
     }
 
-    if (data.noPrefixIcon) {
-      menuitem.classList.add("opti_menuitem_icon1_hide");
+    let frozenData = state.dataByKey.get(state.frozenKey);
+    if (this.frozenHoveredItem && frozenData) {
+      let menuitem = this.getMenuitemAtIndex(frozenData.opti_displayIndex);
+      if (menuitem && menuitem != this.frozenHoveredItem) {
+        this.frozenHoveredItem.classList.remove("opti_frozen_menuitem");
+        this.frozenHoveredItem = menuitem;
+        menuitem.classList.add("opti_frozen_menuitem");
+      }
+    }
+  },
+
+///////////////////////////////////////////////////////////////////////////////
+///////////////////////////////////////////////////////////////////////////////
+// MENU DATA MUTATION
+//
+// These update the menu data in place without rebuilding the menu.  Only the
+// menu data following the change is reindexed, and only displayed menuitems
+// at or following the change are updated.  All indices are indices in the
+// full menu data.  (If the menu is filtered or searched, the filter must be
+// reapplied to all menu data.)
+
+  /*
+   * insertItems
+   *
+   * @param index number - index at which to insert items.
+   * @param items array - menu data objects to insert.
+   * @param deepClone boolean optional - see updateMenu().
+   */
+  insertItems(index, items, deepClone) {
+    let keyHoveredData = this._displayMenuData[this.keyHoveredIndex];
+    index = Math.max(0, Math.min(index, this._currentMenuData.length));
+    if (deepClone) {
+      items = items.map(a => Object.assign({}, a));
+    }
+    this.spliceMenuData(index, 0, items);
+    this.menuDataChanged(index, null, keyHoveredData, items);
+  },
+
+  /*
+   * removeItems
+   *
+   * @param index number - index of the first item to remove.
+   * @param count number optional - number of items to remove, defaults to 1.
+   * @return array - the removed menu data.
+   */
+  removeItems(index, count = 1) {
+    let keyHoveredData = this._displayMenuData[this.keyHoveredIndex];
+    // Only the part of the range within the menu data is removed.
+    let start = Math.max(index, 0);
+    let end = Math.min(index + count, this._currentMenuData.length);
+    index = start;
+    count = end - start;
+    if (!(count > 0)) {
+      return [];
+    }
+    let removed = this.spliceMenuData(index, count, []);
+    this.menuDataChanged(index, removed, keyHoveredData);
+    return removed;
+  },
+
+  /*
+   * moveItems
+   *
+   * @param from number - index of the first item to move.
+   * @param count number - number of items to move.
+   * @param to number - the index the first moved item will have after the move.
+   */
+  moveItems(from, count, to) {
+    let keyHoveredData = this._displayMenuData[this.keyHoveredIndex];
+    // Only the part of the range within the menu data is moved.
+    let start = Math.max(from, 0);
+    let end = Math.min(from + count, this._currentMenuData.length);
+    from = start;
+    count = end - start;
+    if (!(count > 0)) {
+      return;
+    }
+    let moved = this.spliceMenuData(from, count, []);
+    to = Math.max(0, Math.min(to, this._currentMenuData.length));
+    this.spliceMenuData(to, 0, moved);
+    this.menuDataChanged(Math.min(from, to), null, keyHoveredData);
+  },
+
+  /*
+   * replaceItem
+   *
+   * @param index number - index of the item to replace.
+   * @param item object - the new menu data object.
+   * @param deepClone boolean optional - see updateMenu().
+   * @return object - the replaced menu data.
+   */
+  replaceItem(index, item, deepClone) {
+    let old = this._currentMenuData[index];
+    if (!old) {
+      return null;
+    }
+    if (deepClone) {
+      item = Object.assign({}, item);
+    }
+
+    if (this.hasDisplayFilter()) {
+      let keyHoveredData = this._displayMenuData[this.keyHoveredIndex];
+      this.spliceMenuData(index, 1, [item]);
+      this.menuDataChanged(index, [old], keyHoveredData, [item]);
+      return old;
+    }
+
+    this._currentMenuData[index] = item;
+    item.opti_index = index;
+    item.opti_displayIndex = index;
+    old.opti_index = -1;
+    old.opti_displayIndex = -1;
+    this.select.menuDataSpliced([old], [item]);
+
+    if (this.menuitemOffsets || this.getMenuDataHeight(item) != this.miHeight ||
+        item.isGroupHeader || old.isGroupHeader) {
+      // The menuitem may change height, shifting everything after it, or
+      // change groups.
+      this.indexMenuHeights(index);
+      this.updateMenuUI(index);
+      return old;
+    }
+
+    let menuitem = this.getMenuitemAtSourceIndex(index);
+    if (menuitem) {
+      this.setMenuitemProperties(menuitem, item, index);
+    }
+    return old;
+  },
+
+  /*
+   * moveItemsTo
+   *
+   * Moves menu data, which need not be contiguous, so that it is together
+   * in its current order at index.
+   *
+   * @param items array - menu data objects in the menu.
+   * @param index number - index before which to move the items, as indexed
+   *   before the move.
+   */
+  moveItemsTo(items, index) {
+    let keyHoveredData = this._displayMenuData[this.keyHoveredIndex];
+    let { extracted, firstIndex } = this.extractMenuData(items);
+    if (!extracted.length) {
+      return;
+    }
+
+    // Extracted menu data still has its previous opti_index.
+    let insertIndex = index;
+    for (let data of extracted) {
+      if (data.opti_index < index) {
+        insertIndex--;
+      }
+    }
+    insertIndex = Math.max(0, Math.min(insertIndex, this._currentMenuData.length));
+
+    this.spliceMenuData(insertIndex, 0, extracted);
+    this.menuDataChanged(Math.min(firstIndex, insertIndex), null, keyHoveredData);
+  },
+
+  /*
+   * removeMenuData
+   *
+   * @param items array - menu data objects in the menu, which need not be
+   *   contiguous.
+   * @return array - the removed menu data.
+   */
+  removeMenuData(items) {
+    let keyHoveredData = this._displayMenuData[this.keyHoveredIndex];
+    let { extracted, firstIndex } = this.extractMenuData(items);
+    if (extracted.length) {
+      this.menuDataChanged(firstIndex, extracted, keyHoveredData);
+    }
+    return extracted;
+  },
+
+  /*
+   * extractMenuData
+   *
+   * Removes items from _currentMenuData in place without reindexing.
+   *
+   * @return object - { extracted, firstIndex } where extracted is the menu
+   *   data removed, in menu order, and firstIndex the index of the first.
+   */
+  extractMenuData(items) {
+    let _currentMenuData = this._currentMenuData;
+    let extracting = new Set(items);
+    let extracted = [];
+    let len = _currentMenuData.length;
+    let firstIndex = len;
+    let writeIndex = 0;
+    for (let i = 0; i < len; i++) {
+      let data = _currentMenuData[i];
+      if (extracting.has(data)) {
+        extracted.push(data);
+        firstIndex = Math.min(firstIndex, i);
+      } else {
+        _currentMenuData[writeIndex++] = data;
+      }
+    }
+    _currentMenuData.length = writeIndex;
+    return { extracted, firstIndex };
+  },
+
+  spliceMenuData(index, removeCount, items) {
+    return this.spliceArray(this._currentMenuData, index, removeCount, items);
+  },
+
+  menuDataChanged(index, removed, keyHoveredData, inserted) {
+    let _currentMenuData = this._currentMenuData;
+    let len = _currentMenuData.length;
+    let hasDisplayFilter = this.hasDisplayFilter();
+
+    for (let i = index; i < len; i++) {
+      _currentMenuData[i].opti_index = i;
+      if (!hasDisplayFilter) {
+        _currentMenuData[i].opti_displayIndex = i;
+      }
+    }
+
+    if (removed) {
+      for (let data of removed) {
+        data.opti_index = -1;
+        data.opti_displayIndex = -1;
+      }
+    }
+    if (removed || inserted) {
+      this.select.menuDataSpliced(removed, inserted);
+    }
+
+    let displayIndex = index;
+    if (hasDisplayFilter) {
+      this.applyMenuFilter();
+      displayIndex = 0;
+    } else {
+      this.indexMenuHeights(index);
+    }
+
+    // Keep the same menu data key hovered, if it still exists.
+    if (keyHoveredData) {
+      let keyHoveredIndex = keyHoveredData.opti_displayIndex;
+      if (keyHoveredIndex < 0) {
+        keyHoveredIndex = Math.min(this.keyHoveredIndex, this._displayMenuData.length - 1);
+      }
+      this.keyHoveredIndex = keyHoveredIndex;
+    }
+
+    this.updateMenuUI(displayIndex);
+  },
+
+///////////////////////////////////////////////////////////////////////////////
+///////////////////////////////////////////////////////////////////////////////
+// FILTERING/SEARCH
+
+  /*
+   * setFilter
+   *
+   * Displays only the menu data which passes filter.  The full menu data is
+   * kept, so clearing the filter restores the menu with selection intact.
+   * The filter is reapplied whenever the menu is updated.
+   *
+   * While filtered, indices used for keyboard navigation and scrolling (eg,
+   * ensureIndexIsVisible()) are display indices, ie, the position in the
+   * filtered menu.  Menu data entries carry both, `opti_index` being the
+   * index in the full menu data and `opti_displayIndex` the display index
+   * (-1 if filtered out).
+   *
+   * @param filter function|string - a predicate called with (data, index)
+   *   returning true for menu data which should be displayed, or a string to
+   *   match case-insensitively against menutextstr.  Passing null or an empty
+   *   string clears the filter.
+   */
+  setFilter(filter) {
+    if (typeof filter == "string") {
+      let str = filter.toLowerCase();
+      filter = str ? data => this.getMenuText(data).toLowerCase().includes(str) : null;
+    }
+    this.menuFilter = filter || null;
+
+    let keyHoveredData = this._displayMenuData[this.keyHoveredIndex];
+
+    this.applyMenuFilter();
+
+    // Keep the key hovered menu data if it is still displayed, otherwise
+    // start over from the top.
+    this.refreshFilteredMenu(keyHoveredData ? keyHoveredData.opti_displayIndex : -1);
+  },
+
+  clearFilter() {
+    this.setFilter(null);
+  },
+
+  isFiltered() {
+    return !!this.menuFilter;
+  },
+
+  hasDisplayFilter() {
+    return !!(this.menuFilter || this.getSearchTerm() || this.hasCollapsedGroup);
+  },
+
+  /*
+   * setSearch
+   *
+   * Displays only the menu data whose menutextstr fuzzy matches query, ranked
+   * best match first, with the matched characters of the menutext wrapped in
+   * `<span class="opti_match">`.  Combines with any filter set by setFilter().
+   * The best match becomes the key hovered menuitem.
+   *
+   * If the `typeToSearch` option is set, the query is also built from keys
+   * typed while the menu has focus (Backspace deletes, Escape clears).
+   *
+   * @param query string - the search query, whitespace is ignored.  Passing
+   *   null or an empty string clears the search.
+   */
+  setSearch(query) {
+    this.searchQuery = (query || "").toLowerCase();
+    this.applyMenuFilter();
+    this.refreshFilteredMenu(this.getSearchTerm() && this._displayMenuData.length ? 0 : -1);
+  },
+
+  clearSearch() {
+    this.setSearch(null);
+  },
+
+  getSearch() {
+    return this.searchQuery;
+  },
+
+  getSearchTerm() {
+    return this.searchQuery.replace(/\s+/g, "");
+  },
+
+  refreshFilteredMenu(keyHoveredIndex) {
+    this.keyHoveredIndex = keyHoveredIndex;
+    this.menuCntnr.scrollTop = 0;
+    this.updateMenuUI();
+    if (keyHoveredIndex >= 0) {
+      this.ensureIndexIsVisible(keyHoveredIndex);
+    }
+    this.psuedoScroll(this.menuCntnr.scrollTop, true);
+  },
+
+  applyMenuFilter() {
+    let _currentMenuData = this._currentMenuData;
+    let len = _currentMenuData.length;
+    let filter = this.menuFilter;
+    let term = this.getSearchTerm();
+
+    // Search results are ranked rather than grouped, so collapsed groups are
+    // searched too.
+    let hasCollapsedGroup = false;
+    if (!term) {
+      for (let i = 0; i < len; i++) {
+        if (_currentMenuData[i].isGroupHeader && _currentMenuData[i].isCollapsed) {
+          hasCollapsedGroup = true;
+          break;
+        }
+      }
+    }
+    this.hasCollapsedGroup = hasCollapsedGroup;
+
+    if (!filter && !term && !hasCollapsedGroup) {
+      for (let i = 0; i < len; i++) {
+        _currentMenuData[i].opti_displayIndex = i;
+      }
+      this._displayMenuData = _currentMenuData;
+      this.indexMenuHeights();
+      return;
+    }
+
+    let _displayMenuData = [];
+    let groupHeader = null;
+    // A group header which fails the filter is still displayed if any menu
+    // data of its group passes.
+    let pendingGroupHeader = null;
+    for (let i = 0; i < len; i++) {
+      let data = _currentMenuData[i];
+      data.opti_displayIndex = -1;
+      if (data.isGroupHeader) {
+        groupHeader = data;
+        pendingGroupHeader = null;
+        if (term) {
+          continue;
+        }
+        if (filter && !filter(data, i)) {
+          pendingGroupHeader = data;
+          continue;
+        }
+        _displayMenuData.push(data);
+        continue;
+      }
+      if (filter && !filter(data, i)) {
+        continue;
+      }
+      if (pendingGroupHeader) {
+        _displayMenuData.push(pendingGroupHeader);
+        pendingGroupHeader = null;
+      }
+      if (!term && groupHeader && groupHeader.isCollapsed) {
+        continue;
+      }
+      if (term) {
+        let match = this.fuzzyMatch(term, this.getMenuText(data));
+        if (!match) {
+          continue;
+        }
+        data.opti_searchScore = match.score;
+        data.opti_matchIndices = match.indices;
+      }
+      _displayMenuData.push(data);
+    }
+
+    if (term) {
+      // Equal scores keep their order in the full menu data.
+      _displayMenuData.sort((a, b) => (b.opti_searchScore - a.opti_searchScore) ||
+                                      (a.opti_index - b.opti_index));
+    }
+
+    len = _displayMenuData.length;
+    for (let i = 0; i < len; i++) {
+      _displayMenuData[i].opti_displayIndex = i;
+    }
+    this._displayMenuData = _displayMenuData;
+    this.indexMenuHeights();
+  },
+
+  /*
+   * fuzzyMatch
+   *
+   * Matches term against text as a subsequence.  A contiguous match scores
+   * highest, otherwise characters are matched from left to right, scoring
+   * extra for consecutive characters and characters beginning a word.
+   *
+   * @param term string - lowercase search term.
+   * @param text string - the text to match against.
+   * @return object - { score, indices } where indices are the matched
+   *   character positions in text, or null if term does not match.
+   */
+  fuzzyMatch(term, text) {
+    let lowerText = text.toLowerCase();
+    let termLen = term.length;
+    let indices = [];
+
+    let pos = lowerText.indexOf(term);
+    if (pos >= 0) {
+      for (let i = 0; i < termLen; i++) {
+        indices.push(pos + i);
+      }
+      let score = termLen * 10 + (this.isWordStart(lowerText, pos) ? 5 : 0);
+      return { score: score - pos * 0.01 - text.length * 0.001, indices };
+    }
+
+    let score = 0;
+    let prev = -2;
+    let ti = 0;
+    let textLen = lowerText.length;
+    for (let i = 0; i < termLen; i++) {
+      let ch = term[i];
+      while (ti < textLen && lowerText[ti] != ch) {
+        ti++;
+      }
+      if (ti == textLen) {
+        return null;
+      }
+      score += 1;
+      if (ti == prev + 1) {
+        score += 4;
+      }
+      if (this.isWordStart(lowerText, ti)) {
+        score += 3;
+      }
+      indices.push(ti);
+      prev = ti;
+      ti++;
+    }
+    return { score: score - indices[0] * 0.01 - text.length * 0.001, indices };
+  },
+
+  isWordStart(text, pos) {
+    return pos == 0 || /[\s\-_.,:;\/\\|()\[\]]/.test(text[pos - 1]);
+  },
+
+  setHighlightedMenuText(menutext, text, indices) {
+    let doc = menutext.ownerDocument;
+    let fragment = doc.createDocumentFragment();
+    let len = indices.length;
+    let last = 0;
+    let i = 0;
+    while (i < len) {
+      // Wrap each run of consecutive matched characters in a single span.
+      let start = indices[i];
+      let end = start + 1;
+      while (i + 1 < len && indices[i + 1] == end) {
+        end++;
+        i++;
+      }
+      i++;
+      if (start > last) {
+        fragment.appendChild(doc.createTextNode(text.slice(last, start)));
+      }
+      let span = doc.createElement("span");
+      span.className = "opti_match";
+      span.textContent = text.slice(start, end);
+      fragment.appendChild(span);
+      last = end;
+    }
+    if (last < text.length) {
+      fragment.appendChild(doc.createTextNode(text.slice(last)));
+    }
+    menutext.textContent = "";
+    menutext.appendChild(fragment);
+  },
+
+  /*
+   * getSourceIndex
+   *
+   * @param displayIndex number - index in the displayed (filtered) menu.
+   * @return number - the index of the same entry in the full menu data, or -1.
+   */
+  getSourceIndex(displayIndex) {
+    let data = this._displayMenuData[displayIndex];
+    return data ? data.opti_index : -1;
+  },
+
+  /*
+   * getDisplayIndex
+   *
+   * @param sourceIndex number - index in the full menu data.
+   * @return number - the index of the same entry in the displayed (filtered)
+   *   menu, or -1 if it is filtered out.
+   */
+  getDisplayIndex(sourceIndex) {
+    let data = this._currentMenuData[sourceIndex];
+    return data ? data.opti_displayIndex : -1;
+  },
+
+  getMenuText(data) {
+    if (typeof data.menutextstr == "string") {
+      return data.menutextstr;
+    }
+    return data.menutextstr ? data.menutextstr.textContent : "";
+  },
+
+///////////////////////////////////////////////////////////////////////////////
+///////////////////////////////////////////////////////////////////////////////
+// GROUPS
+//
+// Menu data with isGroupHeader set begins a group, which contains the menu
+// data following it up to the next group header.  Collapsing a group only
+// omits its menu data from _displayMenuData, the full menu data is unchanged.
+
+  /*
+   * getGroupHeader
+   *
+   * @param group number|object - index of the group header in the full menu
+   *   data, or the group header menu data itself.
+   * @return object - the group header menu data, or null if group is not a
+   *   group header.
+   */
+  getGroupHeader(group) {
+    let header = typeof group == "number" ? this._currentMenuData[group] : group;
+    return header && header.isGroupHeader ? header : null;
+  },
+
+  /*
+   * getMenuDataGroupHeader
+   *
+   * @param data object - menu data in the menu.
+   * @return object - the header of the group containing data (data itself if
+   *   it is a group header), or null if data precedes all group headers.
+   */
+  getMenuDataGroupHeader(data) {
+    let _currentMenuData = this._currentMenuData;
+    for (let i = data.opti_index; i >= 0; i--) {
+      if (_currentMenuData[i].isGroupHeader) {
+        return _currentMenuData[i];
+      }
+    }
+    return null;
+  },
+
+  isGroupCollapsed(group) {
+    let header = this.getGroupHeader(group);
+    return !!(header && header.isCollapsed);
+  },
+
+  collapseGroup(group) {
+    return this.setGroupCollapsed(group, true);
+  },
+
+  expandGroup(group) {
+    return this.setGroupCollapsed(group, false);
+  },
+
+  /*
+   * setGroupCollapsed
+   *
+   * Collapses or expands a group.  If the key hovered menuitem is collapsed,
+   * its group header becomes key hovered.
+   *
+   * @param group number|object - see getGroupHeader().
+   * @param isCollapsed boolean - whether to collapse or expand the group.
+   * @return boolean - true if the group was collapsed or expanded, false if
+   *   it already was or group is not a group header.
+   */
+  setGroupCollapsed(group, isCollapsed) {
+    let header = this.getGroupHeader(group);
+    if (!header || !!header.isCollapsed == isCollapsed) {
+      return false;
+    }
+
+    if (isCollapsed) {
+      header.isCollapsed = true;
+    } else {
+      delete(header.isCollapsed);
+    }
+
+    let keyHoveredData = this._displayMenuData[this.keyHoveredIndex];
+    if (keyHoveredData && isCollapsed && this.getMenuDataGroupHeader(keyHoveredData) == header) {
+      keyHoveredData = header;
+    }
+
+    this.updateGroupDisplay(header, isCollapsed);
+
+    if (keyHoveredData && keyHoveredData.opti_displayIndex >= 0) {
+      this.keyHoveredIndex = keyHoveredData.opti_displayIndex;
+    } else {
+      this.keyHoveredIndex = Math.min(this.keyHoveredIndex, this._displayMenuData.length - 1);
+    }
+
+    // Only the group header and menuitems following it are affected.
+    this.updateMenuUI(Math.max(0, header.opti_displayIndex));
+    if (isCollapsed && header.opti_displayIndex >= 0) {
+      // If the group header is scrolled out of view, as when collapsing from
+      // the sticky group header, bring it to the top.
+      let headerOffset = this.getIndexOffset(header.opti_displayIndex);
+      if (headerOffset < this.menuCntnr.scrollTop) {
+        this.menuCntnr.scrollTop = headerOffset;
+      }
+    }
+    if (keyHoveredData == header && header.opti_displayIndex >= 0) {
+      this.ensureIndexIsVisible(header.opti_displayIndex);
+    }
+    return true;
+  },
+
+  /*
+   * updateGroupDisplay
+   *
+   * Removes the menu data of a collapsed group from _displayMenuData, or
+   * inserts the menu data of an expanded group, leaving the rest of
+   * _displayMenuData as it is.
+   *
+   * @param header object - the group header menu data.
+   * @param isCollapsed boolean - whether the group was collapsed or expanded.
+   */
+  updateGroupDisplay(header, isCollapsed) {
+    let headerIndex = header.opti_displayIndex;
+    if (this.getSearchTerm() || headerIndex < 0) {
+      // Search results aren't grouped, and a hidden group header has no
+      // display range to update.
+      this.applyMenuFilter();
+      return;
+    }
+
+    let _currentMenuData = this._currentMenuData;
+    let _displayMenuData = this._displayMenuData;
+    let filter = this.menuFilter;
+
+    if (isCollapsed) {
+      let end = headerIndex + 1;
+      while (end < _displayMenuData.length && !_displayMenuData[end].isGroupHeader) {
+        _displayMenuData[end++].opti_displayIndex = -1;
+      }
+      if (_displayMenuData == _currentMenuData) {
+        // Build the display array from the menu data either side of the
+        // group, rather than copying the full menu data to splice the group
+        // out of it.
+        let len = _currentMenuData.length;
+        _displayMenuData = _currentMenuData.slice(0, headerIndex + 1);
+        for (let i = end; i < len; i++) {
+          _displayMenuData.push(_currentMenuData[i]);
+        }
+        this._displayMenuData = _displayMenuData;
+      } else {
+        _displayMenuData.splice(headerIndex + 1, end - headerIndex - 1);
+      }
+      this.hasCollapsedGroup = true;
+    } else {
+      this.hasCollapsedGroup = _currentMenuData.some(data => data.isGroupHeader && data.isCollapsed);
+      if (!filter && !this.hasCollapsedGroup) {
+        // The full menu data is displayed again.
+        _displayMenuData = this._displayMenuData = _currentMenuData;
+      } else {
+        let members = [];
+        for (let i = header.opti_index + 1; i < _currentMenuData.length; i++) {
+          let data = _currentMenuData[i];
+          if (data.isGroupHeader) {
+            break;
+          }
+          if (!filter || filter(data, i)) {
+            members.push(data);
+          }
+        }
+        this.spliceArray(_displayMenuData, headerIndex + 1, 0, members);
+      }
+    }
+
+    let len = _displayMenuData.length;
+    for (let i = headerIndex + 1; i < len; i++) {
+      _displayMenuData[i].opti_displayIndex = i;
+    }
+    this.indexMenuHeights(headerIndex + 1);
+  },
+
+  getGroupHeaderDisplayIndices() {
+    if (!this.groupHeaderDisplayIndices) {
+      let indices = [];
+      let _displayMenuData = this._displayMenuData;
+      let len = _displayMenuData.length;
+      for (let i = 0; i < len; i++) {
+        if (_displayMenuData[i].isGroupHeader) {
+          indices.push(i);
+        }
+      }
+      this.groupHeaderDisplayIndices = indices;
+    }
+    return this.groupHeaderDisplayIndices;
+  },
+
+  /*
+   * updateStickyGroupHeader
+   *
+   * Displays the header of the group at the top of the menu in the sticky
+   * group header, pushed up by the next group header as it reaches it.
+   *
+   * @param scrollPos number - scrollTop of the menu.
+   * @param forceRefresh boolean optional - update the sticky group header
+   *   even if it displays the same group header.
+   */
+  updateStickyGroupHeader(scrollPos, forceRefresh) {
+    let stickyHeader = this.opti_stickyheader;
+    let headerIndices = this.getGroupHeaderDisplayIndices();
+    let topIndex = this.getIndexAtOffset(scrollPos);
+
+    // Binary search for the last group header at or above the top.
+    let low = 0;
+    let high = headerIndices.length - 1;
+    while (low <= high) {
+      let mid = (low + high) >> 1;
+      if (headerIndices[mid] <= topIndex) {
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    let headerIndex = high >= 0 ? headerIndices[high] : -1;
+    let header = this._displayMenuData[headerIndex];
+
+    if (!header || topIndex >= this._displayMenuData.length) {
+      stickyHeader.style.display = "none";
+      stickyHeader.opti_data = null;
+      return;
+    }
+
+    if (stickyHeader.opti_data != header || forceRefresh) {
+      this.setMenuitemProperties(stickyHeader, header, headerIndex);
+      stickyHeader.classList.add("opti_stickyheader");
+      // Not the id of the menuitem displaying the group header.
+      stickyHeader.removeAttribute("id");
+      // Take up no space, the menuitems scroll beneath it.
+      stickyHeader.style.marginBottom = (-this.getIndexHeight(headerIndex)) + "px";
+      stickyHeader.style.display = "";
+    }
+
+    let push = 0;
+    let nextHeaderIndex = headerIndices[high + 1];
+    if (nextHeaderIndex !== undefined) {
+      let nextHeaderTop = this.getIndexOffset(nextHeaderIndex) - scrollPos;
+      push = Math.min(0, nextHeaderTop - this.getIndexHeight(headerIndex));
+    }
+    stickyHeader.style.transform = push ? "translateY(" + push + "px)" : "";
+  },
+
+  /*
+   * toggleGroupFromEvent
+   *
+   * Collapses or expands the group of a group header menuitem for a user
+   * action, calling Action listeners with a hybridType of "grouptoggle".
+   */
+  toggleGroupFromEvent(e, menuitem) {
+    let header = menuitem.opti_data;
+    this.setGroupCollapsed(header, !header.isCollapsed);
+
+    e.hybridType = "grouptoggle";
+    e.menuitem = this.getMenuitemAtIndex(header.opti_displayIndex);
+    e.opti_groupHeader = header;
+    e.opti_isCollapsed = !!header.isCollapsed;
+    this.callActivityActionListeners(e);
+  },
+
+///////////////////////////////////////////////////////////////////////////////
+///////////////////////////////////////////////////////////////////////////////
+// TREE
+//
+// In tree mode _currentMenuData is the flattened tree of expanded nodes, each
+// carrying opti_treeLevel and opti_treeParent.  Expanding or collapsing a node
+// inserts or removes its descendants as menu data mutations, so collapsed
+// subtrees cost nothing.
+
+  getTreeChildren(data) {
+    return data.children || data.opti_children || null;
+  },
+
+  isTreeNodeExpandable(data) {
+    let children = this.getTreeChildren(data);
+    if (children) {
+      return children.length > 0;
+    }
+    return !!(data.hasChildren && this.loadChildren);
+  },
+
+  isTreeNodeDisplayed(data) {
+    return this._currentMenuData[data.opti_index] === data;
+  },
+
+  /*
+   * getTreeRoots
+   *
+   * @param data array - the root menu data, each with an optional children
+   *   array.  Or, if any menu data has a parentId, flat menu data whose
+   *   parentId is the id of its parent (the order of menu data is kept
+   *   among siblings).
+   * @param deepClone boolean optional - see updateMenu(), children arrays
+   *   are cloned too.
+   * @return array - the root menu data.
+   */
+  getTreeRoots(data, deepClone) {
+    let cloneTree = nodes => nodes.map(node => {
+      let clone = Object.assign({}, node);
+      if (Array.isArray(node.children)) {
+        clone.children = cloneTree(node.children);
+      }
+      return clone;
+    });
+    if (deepClone) {
+      data = cloneTree(data);
+    }
+
+    if (!data.some(node => node.parentId !== undefined && node.parentId !== null)) {
+      return data;
+    }
+
+    // Children by parentId are kept in opti_children rather than children,
+    // so as not to add to the children of menu data passed again.
+    let nodesById = new Map();
+    for (let node of data) {
+      delete(node.opti_children);
+      nodesById.set(node.id, node);
+    }
+    let roots = [];
+    for (let node of data) {
+      let parent = nodesById.get(node.parentId);
+      if (parent && parent != node) {
+        (parent.opti_children || (parent.opti_children = [])).push(node);
+      } else {
+        roots.push(node);
+      }
+    }
+    return roots;
+  },
+
+  /*
+   * flattenTree
+   *
+   * @param nodes array - sibling menu data.
+   * @param level number - the level of nodes in the tree, 0 for the roots.
+   * @param parent object - the parent of nodes, null for the roots.
+   * @param rows array optional - array to append to.
+   * @return array - nodes and the descendants of expanded nodes, in order.
+   */
+  flattenTree(nodes, level, parent, rows = []) {
+    let len = nodes.length;
+    for (let i = 0; i < len; i++) {
+      let node = nodes[i];
+      node.opti_treeLevel = level;
+      node.opti_treeParent = parent;
+      node.opti_treePosInSet = i + 1;
+      node.opti_treeSetSize = len;
+      rows.push(node);
+      let children = this.getTreeChildren(node);
+      if (node.isExpanded && children) {
+        this.flattenTree(children, level + 1, node, rows);
+      }
+    }
+    return rows;
+  },
+
+  /*
+   * expandTreeNode
+   *
+   * Expands a tree node, first loading its children with the loadChildren
+   * option if it has hasChildren set but no children.  While loading, its
+   * menuitem has the class `opti_treeloading`.
+   *
+   * @param data object - menu data in the tree.
+   * @return promise - resolves to true if the node was expanded, false if it
+   *   already was or has no children, or was collapsed or removed while
+   *   loading.  Rejects if loadChildren does.
+   */
+  async expandTreeNode(data) {
+    if (data.isExpanded || !this.isTreeNodeExpandable(data)) {
+      return false;
+    }
+    data.isExpanded = true;
+
+    if (!this.getTreeChildren(data)) {
+      data.opti_treeLoading = true;
+      this.updateTreeNodeDisplay(data);
+      let children;
+      try {
+        children = await this.loadChildren(data);
+      } catch (ex) {
+        delete(data.opti_treeLoading);
+        delete(data.isExpanded);
+        this.updateTreeNodeDisplay(data);
+        throw ex;
+      }
+      delete(data.opti_treeLoading);
+      data.children = children || [];
+      if (!data.isExpanded || !this.isTreeNodeDisplayed(data)) {
+        this.updateTreeNodeDisplay(data);
+        return false;
+      }
+    }
+
+    if (!this.isTreeNodeDisplayed(data)) {
+      // Its children will be displayed once it is.
+      return true;
+    }
+
+    let keyHoveredData = this._displayMenuData[this.keyHoveredIndex];
+    let index = data.opti_index;
+    let rows = this.flattenTree(this.getTreeChildren(data), data.opti_treeLevel + 1, data);
+    this.spliceMenuData(index + 1, 0, rows);
+    this.menuDataChanged(index, null, keyHoveredData, rows);
+    return true;
+  },
+
+  /*
+   * collapseTreeNode
+   *
+   * Collapses a tree node, removing its descendants from the menu data.
+   * Removed descendants are unselected, and if the key hovered menuitem is
+   * removed, the node becomes key hovered.
+   *
+   * @param data object - menu data in the tree.
+   * @return boolean - true if the node was collapsed, false if it wasn't
+   *   expanded.
+   */
+  collapseTreeNode(data) {
+    if (!data.isExpanded) {
+      return false;
+    }
+    delete(data.isExpanded);
+
+    if (!this.isTreeNodeDisplayed(data)) {
+      return true;
+    }
+    if (data.opti_treeLoading) {
+      // expandTreeNode() won't insert the children once loaded.
+      this.updateTreeNodeDisplay(data);
+      return true;
+    }
+
+    let _currentMenuData = this._currentMenuData;
+    let len = _currentMenuData.length;
+    let index = data.opti_index;
+    let end = index + 1;
+    while (end < len && _currentMenuData[end].opti_treeLevel > data.opti_treeLevel) {
+      end++;
+    }
+
+    let keyHoveredData = this._displayMenuData[this.keyHoveredIndex];
+    if (keyHoveredData && keyHoveredData.opti_index > index && keyHoveredData.opti_index < end) {
+      keyHoveredData = data;
+    }
+
+    let removed = this.spliceMenuData(index + 1, end - index - 1, []);
+    this.menuDataChanged(index, removed, keyHoveredData);
+    for (let node of removed) {
+      delete(node.isSelected);
+    }
+    return true;
+  },
+
+  updateTreeNodeDisplay(data) {
+    if (!this.isTreeNodeDisplayed(data)) {
+      return;
+    }
+    let menuitem = this.getMenuitemAtSourceIndex(data.opti_index);
+    if (menuitem) {
+      this.setMenuitemProperties(menuitem, data, menuitem.opti_displayIndex);
+    }
+  },
+
+  /*
+   * toggleTreeNodeFromEvent
+   *
+   * Expands or collapses a tree node for a user action.  Once the node has
+   * expanded or collapsed, which for an expand may be after its children
+   * load, Action listeners are called with a hybridType of "treetoggle".
+   * Nothing is called if the node didn't change, eg it has no children.  If
+   * loadChildren rejects, the node is left collapsed and Action listeners are
+   * called with a hybridType of "treeloaderror" instead, event.opti_treeNode
+   * the node and event.opti_error the rejection reason.
+   *
+   * @return promise|boolean - see expandTreeNode() and collapseTreeNode(),
+   *   except the promise resolves to false rather than rejecting.
+   */
+  toggleTreeNodeFromEvent(e, data) {
+    let toggled = () => {
+      e.hybridType = "treetoggle";
+      e.menuitem = this.getMenuitemAtIndex(data.opti_displayIndex);
+      e.opti_treeNode = data;
+      e.opti_isExpanded = !!data.isExpanded;
+      this.callActivityActionListeners(e);
+    };
+
+    if (data.isExpanded) {
+      let result = this.collapseTreeNode(data);
+      if (result) {
+        toggled();
+      }
+      return result;
+    }
+
+    return this.expandTreeNode(data).then(result => {
+      if (result) {
+        toggled();
+      }
+      return result;
+    }, error => {
+      let errorEvent = new this.window.Event("treeloaderror");
+      errorEvent.hybridType = "treeloaderror";
+      errorEvent.menuitem = this.getMenuitemAtIndex(data.opti_displayIndex);
+      errorEvent.opti_treeNode = data;
+      errorEvent.opti_error = error;
+      this.callActivityActionListeners(errorEvent);
+      return false;
+    });
+  },
+
+  /*
+   * treeKeyboardAction
+   *
+   * ArrowRight expands the key hovered node, or if expanded moves to its
+   * first child.  ArrowLeft collapses it, or if collapsed moves to its parent.
+   */
+  treeKeyboardAction(e, index) {
+    let data = this._displayMenuData[index];
+    if (!data) {
+      return;
+    }
+    e.preventDefault();
+
+    if (e.key == "ArrowRight") {
+      if (!this.isTreeNodeExpandable(data)) {
+        return;
+      }
+      if (!data.isExpanded) {
+        this.setKeyHoveredIndex(index);
+        this.toggleTreeNodeFromEvent(e, data);
+        return;
+      }
+      let child = this._displayMenuData[index + 1];
+      if (child && child.opti_treeParent == data) {
+        this.setKeyHoveredIndex(index + 1);
+      }
+      return;
+    }
+
+    if (data.isExpanded) {
+      this.setKeyHoveredIndex(index);
+      this.toggleTreeNodeFromEvent(e, data);
+      return;
+    }
+    let parent = data.opti_treeParent;
+    if (parent && parent.opti_displayIndex >= 0 && this.isTreeNodeDisplayed(parent)) {
+      this.setKeyHoveredIndex(parent.opti_displayIndex);
+    }
+  },
+
+///////////////////////////////////////////////////////////////////////////////
+///////////////////////////////////////////////////////////////////////////////
+// SUBMENUS
+
+  getRootMenu() {
+    let menu = this;
+    while (menu.parentMenu) {
+      menu = menu.parentMenu;
+    }
+    return menu;
+  },
+
+  getSubmenu() {
+    return this.submenuData ? this.submenu : null;
+  },
+
+  createSubmenu() {
+    let container = this.window.document.createElement("div");
+    container.className = "opti_submenu";
+    container.style.width = (this.submenuWidth || this.menuCntnr.clientWidth) + "px";
+    this.window.document.body.appendChild(container);
+
+    let submenu = new OptiMenu(container, this.window, {
+      hideBrokenImageIcons: this.hideBrokenImageIcons,
+      menuitemTypeHeights: this.menuitemTypeHeights,
+      submenuDelay: this.submenuDelay,
+      submenuIconUrl: this.submenuIconUrl,
+      submenuWidth: this.submenuWidth,
+      submenuMaxHeight: this.submenuMaxHeight,
+    });
+    submenu.parentMenu = this;
+    this.submenu = submenu;
+    return submenu;
+  },
+
+  /*
+   * openSubmenu
+   *
+   * Opens the submenu of menu data next to its menuitem, closing any other
+   * open submenu.
+   *
+   * @param data object - displayed menu data with a submenu array.
+   * @return OptiMenu - the submenu, or null if data has no submenu or is not
+   *   displayed.
+   */
+  openSubmenu(data) {
+    this.clearSubmenuTimer();
+    if (!data || !data.submenu || data.opti_displayIndex < 0) {
+      return null;
+    }
+    if (data == this.submenuData) {
+      return this.submenu;
+    }
+    this.closeSubmenu();
+
+    this.ensureIndexIsVisible(data.opti_displayIndex);
+    this.psuedoScroll(this.menuCntnr.scrollTop);
+    let menuitem = this.getMenuitemAtIndex(data.opti_displayIndex);
+    if (!menuitem) {
+      return null;
     }
 
-    if (data.menuiconurl2) {
-      menuitem.opti_menuicon2.src = data.menuiconurl2;
-      menuitem.opti_menuicon2.style.opacity = "1";
+    let submenu = this.submenu || this.createSubmenu();
+    let container = submenu.menuCntnr;
+    container.style.display = "";
+    container.scrollTop = 0;
+    submenu.keyHoveredIndex = -1;
+    submenu.updateMenu(data.submenu);
+
+    // Only as tall as the submenu needs, scrolling beyond submenuMaxHeight.
+    let maxHeight = this.submenuMaxHeight || this.window.innerHeight;
+    let height = Math.min(maxHeight, submenu.getIndexOffset(submenu._displayMenuData.length));
+    container.style.height = height + "px";
+    submenu.updateMenuStructure(submenu._displayMenuData.length);
+
+    // To the right of the menuitem, or the left if there isn't room.
+    submenu.positionFloatingContainer(menuitem.getBoundingClientRect(), "right");
+
+    this.submenuData = data;
+    menuitem.classList.add("opti_submenuopen");
+    return submenu;
+  },
+
+  closeSubmenu() {
+    this.clearSubmenuTimer();
+    let data = this.submenuData;
+    if (!data) {
+      return;
+    }
+    this.submenuData = null;
+
+    let submenu = this.submenu;
+    submenu.closeSubmenu();
+    let container = submenu.menuCntnr;
+    // Move focus before hiding the submenu, so it doesn't leave the menus and
+    // close a popup.
+    if (container.contains(this.window.document.activeElement)) {
+      this.menuCntnr.focus({ preventScroll: true });
+    }
+    container.style.display = "none";
+
+    let menuitem = this.getMenuitemAtIndex(data.opti_displayIndex);
+    if (menuitem) {
+      menuitem.classList.remove("opti_submenuopen");
+    }
+  },
+
+  clearSubmenuTimer() {
+    if (this.submenuTimer) {
+      this.window.clearTimeout(this.submenuTimer);
+      this.submenuTimer = null;
+      this.submenuTimerData = null;
+    }
+  },
+
+  /*
+   * hoverSubmenuData
+   *
+   * Called as the mouse hovers menu data (null for none).  After
+   * submenuDelay, opens its submenu, or closes the open submenu if it has
+   * none.  Hovering the menu data of the open submenu, or moving into the
+   * submenu before then, cancels the change, so the mouse can cross other
+   * menuitems on its way to the submenu.
+   */
+  hoverSubmenuData(data) {
+    let submenuData = this.submenuData;
+    if (data == submenuData || (!submenuData && !(data && data.submenu))) {
+      this.clearSubmenuTimer();
+      return;
+    }
+    if (this.submenuTimer && data == this.submenuTimerData) {
+      return;
+    }
+    this.clearSubmenuTimer();
+    this.submenuTimerData = data;
+    this.submenuTimer = this.window.setTimeout(() => {
+      this.submenuTimer = null;
+      this.submenuTimerData = null;
+      if (data && data.submenu) {
+        this.openSubmenu(data);
+      } else {
+        this.closeSubmenu();
+      }
+    }, this.submenuDelay);
+  },
+
+  /*
+   * submenuKeyboardAction
+   *
+   * ArrowRight or Enter opens the submenu of the key hovered menu data,
+   * moving focus to it.  ArrowLeft or Escape closes the submenu focus is in.
+   *
+   * @return boolean - true if the key was handled.
+   */
+  submenuKeyboardAction(e, index) {
+    if (e.key == "ArrowRight" || e.key == "Enter") {
+      let data = this._displayMenuData[index];
+      if (!data || !data.submenu) {
+        return false;
+      }
+      e.preventDefault();
+      this.setKeyHoveredIndex(index);
+      let submenu = this.openSubmenu(data);
+      if (submenu) {
+        submenu.menuCntnr.focus({ preventScroll: true });
+        submenu.setKeyHoveredIndex(0);
+      }
+      return true;
+    }
+
+    if (e.key == "Escape" && this.submenuData) {
+      e.preventDefault();
+      this.closeSubmenu();
+      return true;
+    }
+    if (!this.parentMenu) {
+      return false;
+    }
+    e.preventDefault();
+    // Focus returns to the parent menu.
+    this.parentMenu.closeSubmenu();
+    return true;
+  },
+
+///////////////////////////////////////////////////////////////////////////////
+///////////////////////////////////////////////////////////////////////////////
+// POPUPS
+
+  /*
+   * initPopup
+   *
+   * Sizes, positions and focuses a menu created by OptiMenu.openPopup(), and
+   * listens for its dismissal.  See OptiMenu.openPopup() for options.
+   *
+   * @param anchorRect object - client rect of the anchor to position by.
+   */
+  initPopup(anchorRect, options) {
+    this.isPopupOpen = true;
+    this.popupPreviousFocus = this.window.document.activeElement;
+
+    if (options && options.menuData) {
+      this.updateMenu(options.menuData, options.deepClone);
+    }
+
+    let len = this._displayMenuData.length;
+    let maxVisibleRows = (options && options.maxVisibleRows) || this.maxVisibleRows;
+    let height = Math.min(this.getIndexOffset(Math.min(len, maxVisibleRows)), this.window.innerHeight);
+    this.menuCntnr.style.height = height + "px";
+    this.updateMenuStructure(len);
+
+    this.positionFloatingContainer(anchorRect, (options && options.placement) || "below");
+
+    // Clicks outside are caught before they reach their target.
+    this.window.addEventListener("mousedown", this, true);
+    this.menuCntnr.focus({ preventScroll: true });
+  },
+
+  /*
+   * positionFloatingContainer
+   *
+   * Positions the fixed position menu container next to an anchor, flipping to
+   * the opposite side if there is only room there, and clamping it within the
+   * window.
+   *
+   * @param anchorRect object - client rect of the anchor.
+   * @param placement string - "below", "above", "right" or "left" of the
+   *   anchor.  Below and above align the left edges, right and left the tops.
+   */
+  positionFloatingContainer(anchorRect, placement) {
+    let rect = this.menuCntnr.getBoundingClientRect();
+    let winWidth = this.window.innerWidth;
+    let winHeight = this.window.innerHeight;
+    let left = anchorRect.left;
+    let top = anchorRect.top;
+
+    if (placement == "right" || placement == "left") {
+      let fitsRight = anchorRect.right + rect.width <= winWidth;
+      let fitsLeft = anchorRect.left - rect.width >= 0;
+      let right = placement == "right" ? (fitsRight || !fitsLeft) : (fitsRight && !fitsLeft);
+      left = right ? anchorRect.right : anchorRect.left - rect.width;
     } else {
-      // If existing icon is "broken", removing src attribute won't clear it,
-      // and setting to null value also results in a "broken" icon.  Instead,
-      // we make it invisible.
-      menuitem.opti_menuicon2.style.opacity = "0";
+      let fitsBelow = anchorRect.bottom + rect.height <= winHeight;
+      let fitsAbove = anchorRect.top - rect.height >= 0;
+      let below = placement == "below" ? (fitsBelow || !fitsAbove) : (fitsBelow && !fitsAbove);
+      top = below ? anchorRect.bottom : anchorRect.top - rect.height;
+    }
+
+    left = Math.max(0, Math.min(left, winWidth - rect.width));
+    top = Math.max(0, Math.min(top, winHeight - rect.height));
+    this.menuCntnr.style.left = left + "px";
+    this.menuCntnr.style.top = top + "px";
+  },
+
+  /*
+   * isNodeInMenus
+   *
+   * @return boolean - true if node is within the menu or its open submenus.
+   */
+  isNodeInMenus(node) {
+    for (let menu = this; menu; menu = menu.getSubmenu()) {
+      if (node && menu.menuCntnr.contains(node)) {
+        return true;
+      }
+    }
+    return false;
+  },
+
+  /*
+   * closePopup
+   *
+   * Closes a menu opened by OptiMenu.openPopup(), removing its container, and
+   * calls Action listeners with hybridType `popuphidden`, event.opti_popup the
+   * menu and event.opti_popupReason the reason given.
+   *
+   * @param reason string optional - "escape", "outsideclick", "blur",
+   *   "menuitemclick" or, by default, "close".
+   */
+  closePopup(reason = "close") {
+    if (!this.isPopupOpen) {
+      return;
+    }
+    this.isPopupOpen = false;
+    this.closeSubmenu();
+    this.window.removeEventListener("mousedown", this, true);
+
+    let previousFocus = this.popupPreviousFocus;
+    this.popupPreviousFocus = null;
+    if (previousFocus && previousFocus.focus &&
+        this.menuCntnr.contains(this.window.document.activeElement)) {
+      previousFocus.focus({ preventScroll: true });
+    }
+    this.menuCntnr.remove();
+
+    let e = new this.window.Event("popuphidden");
+    e.hybridType = "popuphidden";
+    e.opti_popup = this;
+    e.opti_popupReason = reason;
+    this.callActivityActionListeners(e);
+
+    // Popups are not reopened.
+    this.destroy();
+  },
+
+  /*
+   * closeAfterMenuitemClick
+   *
+   * Clicking a menuitem closes the submenus it is in, and the popup they were
+   * opened from.
+   */
+  closeAfterMenuitemClick() {
+    let rootMenu = this.getRootMenu();
+    if (rootMenu.isPopupOpen) {
+      rootMenu.closePopup("menuitemclick");
+    } else if (this.parentMenu) {
+      rootMenu.closeSubmenu();
+    }
+  },
+
+///////////////////////////////////////////////////////////////////////////////
+///////////////////////////////////////////////////////////////////////////////
+// CONTEXT MENU
+
+  /*
+   * setContextMenu
+   *
+   * Sets the commands displayed in a popup (see OptiMenu.openPopup()) when a
+   * menuitem is right-clicked, or the context menu key pressed on the key
+   * hovered menuitem.  The context menu is for the selected menu data if the
+   * menuitem is selected, otherwise for its menu data, and the menuitem is
+   * frozen (see freezeHoveredItem()) until the context menu closes.
+   *
+   * Clicking a command calls Action listeners with hybridType
+   * `contextmenucommand`, event.opti_command the `command` property of its
+   * menu data, event.opti_commandData the menu data and
+   * event.opti_contextTargets the array of menu data the context menu was for.
+   *
+   * @param itemsOrProvider array or function - command menu data, or a
+   *   function called with the array of target menu data and the contextmenu
+   *   event, returning command menu data.  If it returns nothing, the native
+   *   context menu is displayed.  null removes the context menu.
+   */
+  setContextMenu(itemsOrProvider) {
+    this.closeContextMenu();
+    this.contextMenu = itemsOrProvider || null;
+  },
+
+  openContextMenu(e) {
+    let target = e.target;
+    let menuitem = this.getMenuitemFromNode(target);
+    let anchor = { x: e.clientX, y: e.clientY };
+    if (!menuitem && target == this.menuCntnr && this.keyHoveredIndex >= 0) {
+      // The context menu key, open it below the key hovered menuitem.
+      menuitem = this.getMenuitemAtIndex(this.keyHoveredIndex);
+      if (menuitem) {
+        let rect = menuitem.getBoundingClientRect();
+        anchor = { x: rect.left, y: rect.bottom };
+      }
+    }
+    if (!menuitem || !menuitem.opti_data) {
+      return;
+    }
+
+    let data = menuitem.opti_data;
+    let targets = data.isSelected ? this.getSelectedMenuData() : [data];
+    let menuData = typeof this.contextMenu == "function" ?
+                   this.contextMenu(targets, e) : this.contextMenu;
+    if (!menuData || !menuData.length) {
+      return;
+    }
+    e.preventDefault();
+
+    this.closeContextMenu();
+    if (!data.isSelected) {
+      this.freezeMenuitem(menuitem);
+      this.contextMenuFrozenItem = menuitem;
+    }
+    this.contextMenuTargets = targets;
+
+    let popup = OptiMenu.openPopup(anchor, {
+      menuData,
+      window: this.window,
+      hideBrokenImageIcons: this.hideBrokenImageIcons,
+      menuitemTypeHeights: this.menuitemTypeHeights,
+    });
+    popup.contextMenuOwner = this;
+    this.contextMenuPopup = popup;
+  },
+
+  closeContextMenu() {
+    if (this.contextMenuPopup) {
+      this.contextMenuPopup.closePopup();
+    }
+  },
+
+  /*
+   * handleContextMenuAction
+   *
+   * Action events of the context menu popup, and its submenus, come here.
+   */
+  handleContextMenuAction(e) {
+    if (e.hybridType == "menuitemclick") {
+      let commandData = e.menuitem.opti_data;
+      e.hybridType = "contextmenucommand";
+      e.opti_command = commandData.command;
+      e.opti_commandData = commandData;
+      e.opti_contextTargets = this.contextMenuTargets;
+      this.callActivityActionListeners(e);
+    } else if (e.hybridType == "popuphidden" && e.opti_popup == this.contextMenuPopup) {
+      this.contextMenuPopup = null;
+      this.contextMenuTargets = null;
+      // Only what openContextMenu() froze, if it still is.
+      if (this.contextMenuFrozenItem && this.contextMenuFrozenItem == this.frozenHoveredItem) {
+        this.unfreezeMenuitem();
+      }
+      this.contextMenuFrozenItem = null;
+    }
+  },
+
+///////////////////////////////////////////////////////////////////////////////
+///////////////////////////////////////////////////////////////////////////////
+// MENU DISPLAY FRONTEND
+
+  /*
+   * updateMenuDisplay
+   * Updates the graphical display of the menu, in the "psuedo-scroll" context.
+   *
+   * {@param} index - index of _displayMenuData to begin displaying menu data
+   *   (in "psuedo-scroll" context, the menu data entry to "scroll" to).
+   * {@param} fromIndex - optional, menuitems already displaying menu data
+   *   preceding this index are left as they are.
+   */
+  updateMenuDisplay(index, fromIndex = 0) {
+    index = typeof index == "number" ? index : 0;
+    let firstIndex = index;
+    let _displayMenuData = this._displayMenuData;
+    let nodes = this.menuCntnr.childNodes;
+    let cmDataLen = _displayMenuData.length;
+
+    // First and last nodes are fill spacers (preceded by the sticky group
+    // header if there is one).  Ignore those.  Everything else inbetween are
+    // menuitems.
+    let len = (nodes.length - 1);
+    for (let i = this.firstMenuitemNodeIndex; i < len; i++) {
+      let menuitem = nodes[i];
+      if (index < cmDataLen) {
+        let data = _displayMenuData[index];
+        if (index < fromIndex && menuitem.opti_displayIndex === index &&
+            menuitem.opti_data === data) {
+          // Unaffected, though the size of the menu may have changed.
+          if (!this.treeMode) {
+            menuitem.setAttribute("aria-setsize", cmDataLen);
+          }
+        } else {
+          this.setMenuitemProperties(menuitem, data, index);
+        }
+        index++;
+      }
+    }
+
+    this.updateKeyHoveredDisplay();
+
+    if (this.stickyGroupHeaders) {
+      this.updateStickyGroupHeader(this.menuCntnr.scrollTop, true);
+    }
+
+    if (this.hasEventListeners("render")) {
+      let e = new this.window.Event("render");
+      e.hybridType = "render";
+      // Display indices of the first and last menu data displayed.
+      e.opti_firstIndex = firstIndex;
+      e.opti_lastIndex = index - 1;
+      this.callEventListeners("render", e);
+    }
+
+    let _this = this;
+    setTimeout(() => {
+      for (let i = 1; i < 10; i++) {
+        let menuitem = nodes[i];
+      }
+    }, 3000)
+  },
+
+  /*
+   * setUserDefinedProperties
+   *
+   * Replaces the userDefined properties of a menuitem, which are kept in
+   * menuitem.userDefined, apart from the menu's own properties, and updates
+   * its userDefined attributes and classes.  Only attributes whose value
+   * differs from the menuitem's are set, and only classes it doesn't have are
+   * added.  Those set for menu data previously displayed by the menuitem, but
+   * not for this, are removed.  Attributes the menu sets itself, see
+   * OptiMenu.menuitemAttributes, and classes prefixed with "opti_" are
+   * ignored.
+   *
+   * @param menuitem DOM element - the menuitem.
+   * @param userDefined object - the userDefined property of its menu data, if
+   *   any.
+   */
+  setUserDefinedProperties(menuitem, userDefined) {
+    let properties = userDefined && userDefined.properties;
+    let attributes = userDefined && userDefined.attributes;
+    let classes = userDefined && userDefined.classes;
+
+    menuitem.userDefined = Object.assign({}, properties);
+
+    let prevAttributes = menuitem.opti_userDefinedAttributes;
+    let setAttributes = null;
+    for (let name in attributes) {
+      let value = attributes[name];
+      // Falsy values unset the attribute.
+      if (!value || OptiMenu.menuitemAttributes.has(name.toLowerCase())) {
+        continue;
+      }
+      value = String(value);
+      if (menuitem.getAttribute(name) !== value) {
+        menuitem.setAttribute(name, value);
+      }
+      (setAttributes || (setAttributes = new Set())).add(name);
+    }
+    if (prevAttributes) {
+      for (let name of prevAttributes) {
+        if (!setAttributes || !setAttributes.has(name)) {
+          menuitem.removeAttribute(name);
+        }
+      }
+    }
+    menuitem.opti_userDefinedAttributes = setAttributes;
+
+    let prevClasses = menuitem.opti_userDefinedClasses;
+    let setClasses = null;
+    for (let name in classes) {
+      // Falsy values unset the class.  opti_ classes are the menu's own.
+      if (!classes[name] || name.startsWith("opti_")) {
+        continue;
+      }
+      if (!menuitem.classList.contains(name)) {
+        menuitem.classList.add(name);
+      }
+      (setClasses || (setClasses = new Set())).add(name);
+    }
+    if (prevClasses) {
+      for (let name of prevClasses) {
+        // A class also given by the renderer's create() stays.
+        if ((!setClasses || !setClasses.has(name)) && !menuitem.opti_createdClasses.has(name)) {
+          menuitem.classList.remove(name);
+        }
+      }
+    }
+    menuitem.opti_userDefinedClasses = setClasses;
+  },
+
+  setMenuitemProperties(menuitem, data, displayIndex) {
+    // ONLY OPTI
+    // TODO: Can some of the properties being explicitly set below just be
+    // accessed through opti_data?
+    menuitem.opti_data = data;
+
+    // currentMenuDataIndex is the index in the full menu data, which is what
+    // users will expect, opti_displayIndex is the index in the displayed menu.
+    menuitem.currentMenuDataIndex = data.opti_index;
+    menuitem.opti_displayIndex = displayIndex;
+
+    // The id follows the menu data displayed rather than the recycled
+    // menuitem, so aria-activedescendant changes whenever the key hovered menu
+    // data does, even if the same menuitem displays it.
+    menuitem.id = "opti_menuitem_" + this.instanceId + "_" + data.opti_index;
+
+    // Remove the classes the menu, and the renderer's update(), added for
+    // menu data previously displayed by the menuitem, so they don't linger.
+    // Those given by the renderer's create() are kept, as are the userDefined
+    // classes, which setUserDefinedProperties() updates.
+    let createdClasses = menuitem.opti_createdClasses;
+    let userDefinedClasses = menuitem.opti_userDefinedClasses;
+    for (let name of Array.from(menuitem.classList)) {
+      if (!createdClasses.has(name) && !(userDefinedClasses && userDefinedClasses.has(name))) {
+        menuitem.classList.remove(name);
+      }
+    }
+
+    if (data.menuitemType) {
+      menuitem.classList.add("opti_menuitemtype_" + data.menuitemType);
+    }
+
+    if (this.treeMode) {
+      this.setTreeMenuitemProperties(menuitem, data);
+    }
+
+    if (data.submenu) {
+      menuitem.classList.add("opti_hassubmenu");
+      if (data == this.submenuData) {
+        menuitem.classList.add("opti_submenuopen");
+      }
+    }
+
+    if (data.isGroupHeader) {
+      menuitem.classList.add("opti_groupheader");
+      if (data.isCollapsed) {
+        menuitem.classList.add("opti_groupcollapsed");
+      }
+    }
+
+    // The CSS height of menuitems is miHeight, other heights are set inline.
+    let height = this.getMenuDataHeight(data);
+    let style = menuitem.style;
+    if (height != this.miHeight) {
+      style.height = style.minHeight = style.maxHeight = height + "px";
+      menuitem.opti_height = height;
+    } else if (menuitem.opti_height) {
+      style.height = style.minHeight = style.maxHeight = "";
+      delete(menuitem.opti_height);
+    }
+
+    this.renderer.update(menuitem, data, data.opti_index);
+
+    if (displayIndex == this.keyHoveredIndex) {
+      menuitem.classList.add("opti_keyhovered");
     }
-    if (data.noSuffixIcon) {
-      menuitem.classList.add("opti_menuitem_icon2_hide");
+
+    if (menuitem == this.frozenHoveredItem) {
+      menuitem.classList.add("opti_frozen_menuitem");
+    }
+
+    let dropTarget = this.dragDrop.dropTarget;
+    if (dropTarget && dropTarget.index == displayIndex) {
+      menuitem.classList.add("opti_drop" + dropTarget.position);
     }
 
     if (data.isSelected) {
@@ -539,70 +3198,80 @@ OptiMenu.prototype = {
       delete(menuitem.isSelected);
     }
 
+    // Since menuitems are recycled, assistive technologies need to be told
+    // where each one sits in the menu as a whole (or among its siblings in a
+    // tree).
+    if (this.treeMode) {
+      menuitem.setAttribute("aria-setsize", data.opti_treeSetSize || this._displayMenuData.length);
+      menuitem.setAttribute("aria-posinset", data.opti_treePosInSet || displayIndex + 1);
+    } else {
+      menuitem.setAttribute("aria-setsize", this._displayMenuData.length);
+      menuitem.setAttribute("aria-posinset", displayIndex + 1);
+    }
+    menuitem.setAttribute("aria-selected", data.isSelected ? "true" : "false");
+
     // USER DEFINED
-    if (data.userDefined) {
-      // TODO: userDefined properties get set on menuitems directly, thus there
-      // is no clean way to remove a previously set property if it does not exist
-      // in data.userDefined, because we use other properties that are not
-      // userDefined internally.  We should espouse userDefined properties in an
-      // object userDefined (or maybe the inverse), where we can easily distinguish
-      // and clear all userDefined properties everytime and start afresh.
-      // This of course will affect all code which is currently sniffing for
-      // userDefined properties on menuitems.
-      let { properties, attributes, classes } = data.userDefined;
-      if (properties) {
-        for (let name in properties) {
-          menuitem[name] = properties[name];
-        }
-      }
-      if (attributes) {
-        for (let name in attributes) {
-          let value = attributes[name];
-          if (value) {
-            menuitem.setAttribute(name, value);
-          } else {
-            menuitem.removeAttribute(name);
-          }
-        }
-      }
-      if (classes) {
-        for (let name in classes) {
-          let status = classes[name];
-          if (status) {
-            menuitem.classList.add(name);
-          }
-        }
-      }
+    this.setUserDefinedProperties(menuitem, data.userDefined);
+  },
+
+  setTreeMenuitemProperties(menuitem, data) {
+    let level = data.opti_treeLevel || 0;
+    let indent = level * this.treeIndent;
+    // The menutext width is reduced by the indent, see updateMenuitemDims().
+    menuitem.opti_treetwisty.style.marginLeft = indent + "px";
+    menuitem.style.setProperty("--opti_treeindent", indent + "px");
+    menuitem.setAttribute("aria-level", level + 1);
+
+    if (this.isTreeNodeExpandable(data)) {
+      menuitem.classList.add(data.isExpanded ? "opti_treeexpanded" : "opti_treecollapsed");
+      menuitem.setAttribute("aria-expanded", data.isExpanded ? "true" : "false");
+    } else {
+      menuitem.removeAttribute("aria-expanded");
+    }
+    if (data.opti_treeLoading) {
+      menuitem.classList.add("opti_treeloading");
+      menuitem.setAttribute("aria-busy", "true");
+    } else {
+      menuitem.removeAttribute("aria-busy");
     }
   },
 
-  psuedoScroll(scrollPos, forceRefresh) {
+  psuedoScroll(scrollPos, forceRefresh, fromIndex) {
     // TODO : Not sure why we checked currentMenuMaxScroll here but it is
     // introducing a bug.
     //if (scrollPos > this.currentMenuMaxScroll && !forceRefresh) {
     //  return;
     //}
 
-    let index = Math.floor(scrollPos / this.miHeight);
+    // See updateMenuUI().
+    if (this.isDestroyed) {
+      return;
+    }
+
+    let index = this.getIndexAtOffset(scrollPos);
 
     if (index != this.currentIndex || forceRefresh) {
-      let preheight = Math.min((index * this.miHeight), this.currentMenuFillTotalHeight);
-      let postheight = this.currentMenuFillTotalHeight - preheight;
+      // The spacers take the place of the menu data preceding and following
+      // that displayed by the menuitems.
+      let topIndex = Math.max(0, Math.min(index, this.currentMenuMaxTopIndex));
+      let menuitemsCount = this.getMenuitemsCount();
+      let preheight = this.getIndexOffset(topIndex);
+      let postheight = this.getIndexOffset(this._displayMenuData.length) -
+                       this.getIndexOffset(topIndex + menuitemsCount);
       this.opti_menuprespacer.style.height = preheight+"px";
       this.opti_menupostspacer.style.height = postheight+"px";
-      this.updateMenuDisplay(Math.min(index, this.currentMenuMaxTopIndex));
+      this.updateMenuDisplay(topIndex, fromIndex);
     }
     this.currentIndex = index;
+
+    if (this.stickyGroupHeaders) {
+      this.updateStickyGroupHeader(scrollPos);
+    }
   },
 
   getSelectedMenuData() {
-    let selected = [];
-    for (let datum of this._currentMenuData) {
-      if (datum.isSelected) {
-        selected.push(datum);
-      }
-    }
-    return selected;
+    let selected = Array.from(this.select.selectedMenuData);
+    return selected.sort((a, b) => a.opti_index - b.opti_index);
   },
 
   prevCntnrWid: 0,
@@ -617,124 +3286,400 @@ OptiMenu.prototype = {
     }
     this.prevCntnrWid = cntnrWid;
 
+    // In tree mode, menutext is narrower by the indent of its menuitem.
+    let width = wid => this.treeMode ? "calc(" + wid + "px - var(--opti_treeindent, 0px))" : wid + "px";
+
     let textWid = cntnrWid - this.icon1FullWidth - this.icon2FullWidth -
                   this.menuItemTrailSpace + this.menuTextWidthCorrectionOffset;
 
-    let textContent = ".opti_menuitem { width: " + cntnrWid + "px; }\n";
-    textContent += ".opti_menutext { width: " + textWid + "px; }\n";
+    // Rules only apply to menuitems of this instance, so menus of different
+    // widths can share the page.
+    let scope = "." + this.getScopeClassName() + " > ";
+
+    let textContent = scope + ".opti_menuitem { width: " + cntnrWid + "px; }\n";
+    textContent += scope + ".opti_menuitem > .opti_menutext { width: " + width(textWid) + "; }\n";
 
     textWid = cntnrWid - this.icon2FullWidth - this.menuItemTrailSpace -
               this.menuItemLeadSpaceCorrection + this.menuTextWidthCorrectionOffset;
-    textContent += ".opti_menuitem_icon1_hide > .opti_menutext { width: " + textWid + "px; }\n";
+    textContent += scope + ".opti_menuitem_icon1_hide > .opti_menutext { width: " + width(textWid) + "; }\n";
 
     textWid = cntnrWid - this.icon1FullWidth - this.menuItemTrailSpace +
               this.menuTextWidthCorrectionOffset;
-    textContent += ".opti_menuitem_icon2_hide > .opti_menutext { width: " + textWid + "px; }\n";
+    textContent += scope + ".opti_menuitem_icon2_hide > .opti_menutext { width: " + width(textWid) + "; }\n";
+
+    textWid = cntnrWid - this.menuItemTrailSpace - this.menuItemLeadSpaceCorrection +
+              this.menuTextWidthCorrectionOffset;
+    textContent += scope + ".opti_menuitem_icon1_hide.opti_menuitem_icon2_hide > .opti_menutext { width: " + width(textWid) + "; }\n";
+
+    this.dynamicCSS1.textContent = textContent;
+  },
+
+  getScopeClassName() {
+    return "opti_menu_" + this.instanceId;
+  },
+
+///////////////////////////////////////////////////////////////////////////////
+///////////////////////////////////////////////////////////////////////////////
+// SELECT
+
+  /*
+   * selectIndices
+   *
+   * Selects menu data by index in the full menu data.  Group headers are not
+   * selectable.
+   *
+   * @param indices array - indices of menu data to select.
+   */
+  selectIndices(indices) {
+    this.setIndicesSelected(indices, true);
+  },
+
+  /*
+   * deselectIndices
+   *
+   * @param indices array - indices in the full menu data of menu data to
+   *   unselect.
+   */
+  deselectIndices(indices) {
+    this.setIndicesSelected(indices, false);
+  },
+
+  setIndicesSelected(indices, isSelected) {
+    let _currentMenuData = this._currentMenuData;
+    let changes = { added: [], removed: [] };
+    for (let index of indices) {
+      let data = _currentMenuData[index];
+      if (data) {
+        this.select.setMenuDataSelected(data, isSelected, changes);
+      }
+    }
+    this.select.selectionChanged(changes);
+  },
+
+  /*
+   * selectAll
+   *
+   * Selects all displayed menu data, ie all menu data if the menu isn't
+   * filtered.
+   */
+  selectAll() {
+    if (!this.isMultiSelectable()) {
+      return;
+    }
+    let changes = { added: [], removed: [] };
+    for (let data of this._displayMenuData) {
+      this.select.setMenuDataSelected(data, true, changes);
+    }
+    this.select.selectionChanged(changes);
+  },
+
+  /*
+   * invertSelection
+   *
+   * Inverts the selection of all displayed menu data.  Selected menu data
+   * which isn't displayed stays selected.
+   */
+  invertSelection() {
+    if (!this.isMultiSelectable()) {
+      return;
+    }
+    let selectedMenuData = this.select.selectedMenuData;
+    let changes = { added: [], removed: [] };
+    for (let data of this._displayMenuData) {
+      this.select.setMenuDataSelected(data, !selectedMenuData.has(data), changes);
+    }
+    this.select.selectionChanged(changes);
+  },
 
-    textWid = cntnrWid - this.menuItemTrailSpace - this.menuItemLeadSpaceCorrection +
-              this.menuTextWidthCorrectionOffset;
-    textContent += ".opti_menuitem_icon1_hide.opti_menuitem_icon2_hide > .opti_menutext { width: " + textWid + "px; }\n";
+  clearSelection() {
+    this.select.clearMenuitemSelection();
+  },
 
-    this.dynamicCSS1.textContent = textContent;
+  isMultiSelectable() {
+    return this.selectionMode == "multiple" || this.selectionMode == "checkbox";
   },
 
-///////////////////////////////////////////////////////////////////////////////
-///////////////////////////////////////////////////////////////////////////////
-// SELECT
+  /*
+   * getSelectedIndices
+   *
+   * @return array - indices in the full menu data of the selected menu data,
+   *   in ascending order.
+   */
+  getSelectedIndices() {
+    return this.getSelectedMenuData().map(data => data.opti_index);
+  },
 
   select: {
     _optiMenu: null,
     menuCntnr: null,
 
     isMenuitemSelected: false,
+    // The anchor of range selection.
     lastSelectedMenuDataItem: null,
-
-    handleMenuitemSelect(e) {
-      let item = e.target;
-      let menuitem = item.opti_menuitem || item;
-
-      let menuitemData = this._optiMenu._currentMenuData[menuitem.currentMenuDataIndex];
-
-      if (e.shiftKey) {
-        // Always select for shift key.
+    // The menu data selected by the range last selected from rangeAnchor, so
+    // that it can be replaced as the range changes.
+    rangeAnchor: null,
+    rangeMenuData: null,
+    // The selected menu data, kept along with data.isSelected so that the
+    // selection needn't be found by scanning all menu data.  Created per
+    // instance in init().
+    selectedMenuData: null,
+
+    setMenuitemSelected(menuitem, isSelected) {
+      if (isSelected) {
         menuitem.isSelected = true;
         menuitem.classList.add("opti_menuitemselected");
-        menuitemData.isSelected = true;
+      } else {
+        delete(menuitem.isSelected);
+        menuitem.classList.remove("opti_menuitemselected");
+      }
+      menuitem.setAttribute("aria-selected", isSelected ? "true" : "false");
+    },
 
-        // If shiftKey and there has already been a menuitem selected,
-        // select a range between the two.
-        if (this.lastSelectedMenuDataItem) {
-          this.selectRange(menuitem, menuitemData, this.lastSelectedMenuDataItem);
+    /*
+     * setMenuDataSelected
+     *
+     * All changes of selection go through here, followed by a call to
+     * selectionChanged() once the changes are made.
+     *
+     * @param data object - menu data in the menu.
+     * @param isSelected boolean - whether to select or unselect it.
+     * @param changes object - { added, removed } arrays the change is
+     *   recorded in.
+     */
+    setMenuDataSelected(data, isSelected, changes) {
+      let selectedMenuData = this.selectedMenuData;
+      if (isSelected) {
+        if (selectedMenuData.has(data) || !this.isSelectable(data)) {
+          return;
         }
-      } else {
-        // If we are here it means that only ctrl and/or cmd key was pressed.
-        // Toggle selection state of menuitem.
-        if (menuitem.isSelected) {
-          delete(menuitem.isSelected);
-          menuitem.classList.remove("opti_menuitemselected");
-          delete(menuitemData.isSelected);
-        } else {
-          menuitem.isSelected = true;
-          menuitem.classList.add("opti_menuitemselected");
-          menuitemData.isSelected = true;
+        if (this._optiMenu.selectionMode == "single") {
+          // Selection moves to the menu data.
+          for (let selected of selectedMenuData) {
+            this.setMenuDataSelected(selected, false, changes);
+          }
         }
+        data.isSelected = true;
+        selectedMenuData.add(data);
+        changes.added.push(data);
+      } else if (selectedMenuData.has(data)) {
+        delete(data.isSelected);
+        selectedMenuData.delete(data);
+        changes.removed.push(data);
+      }
+    },
+
+    isSelectable(data) {
+      // Group headers are not selectable.
+      return this._optiMenu.selectionMode != "none" && !data.isGroupHeader;
+    },
+
+    /*
+     * selectionChanged
+     *
+     * Updates the displayed menuitems and the selected state of the menu
+     * following changes by setMenuDataSelected(), and calls Selection listeners
+     * with hybridType `selectionchange`, event.opti_addedMenuData and
+     * event.opti_removedMenuData the menu data selected and unselected.
+     */
+    selectionChanged(changes) {
+      if (!changes.added.length && !changes.removed.length) {
+        return;
       }
+      this.updateSelectedDisplay();
 
-      if (!menuitemData.isSelected && !this.getSelectedMenuData().length) {
-        // We unselected the only selected menuitem.
+      // Only in multiple selection mode does a selection change what clicks
+      // do (a plain click clears the selection), and so hover highlighting.
+      if (this.selectedMenuData.size && this._optiMenu.selectionMode == "multiple") {
+        this.isMenuitemSelected = true;
+        this.menuCntnr.classList.add("opti_ismenuitemselected");
+      } else {
         this.isMenuitemSelected = false;
         this.menuCntnr.classList.remove("opti_ismenuitemselected");
+      }
+      if (!this.selectedMenuData.size) {
         this.lastSelectedMenuDataItem = null;
-      } else {
-        this.isMenuitemSelected = true;
-        this.menuCntnr.classList.add("opti_ismenuitemselected");
-        this.lastSelectedMenuDataItem = menuitemData;
       }
-    },
 
-    selectRange(menuitem, menuitemData, lastMenuitemData) {
-      // Selects a range between menuitem1 and menuitem2, regardless of which
-      // is preceding.
-      if (menuitemData.opti_index == lastMenuitemData.opti_index) {
-        return;
-      }
-      let startIndex = Math.min(menuitemData.opti_index, lastMenuitemData.opti_index);
-      let endIndex = Math.max(menuitemData.opti_index, lastMenuitemData.opti_index);
+      let e = new this._optiMenu.window.Event("selectionchange");
+      e.hybridType = "selectionchange";
+      e.opti_addedMenuData = changes.added;
+      e.opti_removedMenuData = changes.removed;
+      this._optiMenu.callActivitySelectionListeners(e);
+    },
 
+    // Only the displayed menuitems need updating, however much changed.
+    updateSelectedDisplay() {
       let nodes = this.menuCntnr.childNodes;
       let len = nodes.length - 1;
-      for (let i = 1; i < len; i++) {
+      for (let i = this._optiMenu.firstMenuitemNodeIndex; i < len; i++) {
         let menuitem = nodes[i];
-        if (menuitem.currentMenuDataIndex > endIndex) {
-          break;
-        }
-        if (menuitem.currentMenuDataIndex >= startIndex) {
-          menuitem.classList.add("opti_menuitemselected");
-          menuitem.isSelected = true;
+        let isSelected = !!(menuitem.opti_data && menuitem.opti_data.isSelected);
+        if (isSelected != !!menuitem.isSelected) {
+          this.setMenuitemSelected(menuitem, isSelected);
         }
       }
-      let _currentMenuData = this._optiMenu._currentMenuData;
-      len = _currentMenuData.length;
+    },
+
+    handleMenuitemSelect(e) {
+      let menuitem = this._optiMenu.getMenuitemFromNode(e.target);
+
+      let menuitemData = menuitem && menuitem.opti_data;
+
+      if (!menuitemData || menuitemData.isGroupHeader) {
+        return;
+      }
+
+      if (e.shiftKey && this._optiMenu.isMultiSelectable()) {
+        // Select the range from the anchor.
+        this.selectRangeFromAnchor(menuitemData);
+        return;
+      }
+      // If we are here it means that only ctrl and/or cmd key was pressed,
+      // or the checkbox was clicked.  Toggle selection state of menuitem.
+      this.toggleMenuDataSelected(menuitemData);
+    },
+
+    /*
+     * toggleMenuDataSelected
+     *
+     * Toggles the selection of menu data, which becomes the anchor of range
+     * selection unless it was the only menu data selected.
+     */
+    toggleMenuDataSelected(menuitemData) {
+      let changes = { added: [], removed: [] };
+      this.setMenuDataSelected(menuitemData, !this.selectedMenuData.has(menuitemData), changes);
+      this.selectionChanged(changes);
+
+      if (this.selectedMenuData.size) {
+        this.lastSelectedMenuDataItem = menuitemData;
+        this.rangeMenuData = null;
+      }
+    },
+
+    /*
+     * selectRangeFromAnchor
+     *
+     * Selects the range from the anchor (lastSelectedMenuDataItem) to menu
+     * data, as shift + click and shift + navigation keys do.  The anchor stays
+     * put, and the range replaces the range previously selected from it, so
+     * the range shrinks as well as grows, while menu data selected otherwise
+     * stays selected.  Only the range of displayed menu data is selected,
+     * which matters if the menu is filtered.
+     *
+     * @param menuitemData object - displayed menu data at the end of the
+     *   range, ie the focus.
+     * @param fromData object optional - the anchor if there is none, by
+     *   default menuitemData.
+     */
+    selectRangeFromAnchor(menuitemData, fromData) {
+      let anchor = this.lastSelectedMenuDataItem;
+      if (!anchor || anchor.opti_displayIndex < 0) {
+        anchor = fromData || menuitemData;
+      }
+      let prevRange = (anchor == this.rangeAnchor && this.rangeMenuData) || new Set();
+      let range = new Set();
+      let selectedMenuData = this.selectedMenuData;
+      let changes = { added: [], removed: [] };
+
+      let startIndex = Math.min(menuitemData.opti_displayIndex, anchor.opti_displayIndex);
+      let endIndex = Math.max(menuitemData.opti_displayIndex, anchor.opti_displayIndex);
+      let _displayMenuData = this._optiMenu._displayMenuData;
       for (let i = startIndex; i <= endIndex; i++) {
-        _currentMenuData[i].isSelected = true;
+        let data = _displayMenuData[i];
+        if (selectedMenuData.has(data)) {
+          if (prevRange.has(data)) {
+            range.add(data);
+          }
+          continue;
+        }
+        this.setMenuDataSelected(data, true, changes);
+        if (selectedMenuData.has(data)) {
+          range.add(data);
+        }
+      }
+      for (let data of prevRange) {
+        if (!range.has(data)) {
+          this.setMenuDataSelected(data, false, changes);
+        }
+      }
+      this.selectionChanged(changes);
+
+      if (selectedMenuData.size) {
+        this.lastSelectedMenuDataItem = anchor;
+        this.rangeAnchor = anchor;
+        this.rangeMenuData = range;
       }
     },
 
-    clearMenuitemSelection() {
-      let nodes = this.menuCntnr.childNodes;
-      let len = nodes.length - 1;
-      for (let i=1;i<len;i++) {
-        let menuitem = nodes[i];
-        menuitem.classList.remove("opti_menuitemselected");
-        menuitem.isSelected = false;
+    /*
+     * syncSelectionState
+     *
+     * Updates the selected state of the menu from the menu data, called when
+     * the menu data is replaced.
+     */
+    syncSelectionState() {
+      let previous = this.selectedMenuData;
+      let selectedMenuData = new Set();
+      let changes = { added: [], removed: [] };
+      for (let data of this._optiMenu._currentMenuData) {
+        if (data.isSelected && this.isSelectable(data)) {
+          selectedMenuData.add(data);
+          if (!previous.has(data)) {
+            changes.added.push(data);
+          }
+        }
       }
-      let _currentMenuData = this._optiMenu._currentMenuData;
-      len = _currentMenuData.length;
-      for (let i = 0; i < len; i++) {
-        delete(_currentMenuData[i].isSelected);
+      for (let data of previous) {
+        if (!selectedMenuData.has(data)) {
+          changes.removed.push(data);
+        }
+      }
+      this.selectedMenuData = selectedMenuData;
+      if (!selectedMenuData.has(this.lastSelectedMenuDataItem)) {
+        this.lastSelectedMenuDataItem = null;
+      }
+      this.selectionChanged(changes);
+    },
+
+    /*
+     * menuDataSpliced
+     *
+     * Called when menu data is removed from or inserted into the menu so
+     * selection state doesn't refer to removed menu data, and includes
+     * inserted menu data which has isSelected set.  Removed menu data keeps
+     * its isSelected flag.
+     */
+    menuDataSpliced(removed, inserted) {
+      let selectedMenuData = this.selectedMenuData;
+      let changes = { added: [], removed: [] };
+      if (removed) {
+        if (removed.includes(this.lastSelectedMenuDataItem)) {
+          this.lastSelectedMenuDataItem = null;
+        }
+        for (let data of removed) {
+          if (selectedMenuData.delete(data)) {
+            changes.removed.push(data);
+          }
+        }
+      }
+      if (inserted) {
+        for (let data of inserted) {
+          if (data.isSelected && this.isSelectable(data) && !selectedMenuData.has(data)) {
+            selectedMenuData.add(data);
+            changes.added.push(data);
+          }
+        }
+      }
+      this.selectionChanged(changes);
+    },
+
+    clearMenuitemSelection() {
+      let changes = { added: [], removed: [] };
+      for (let data of this.selectedMenuData) {
+        this.setMenuDataSelected(data, false, changes);
       }
-      this.isMenuitemSelected = false;
-      this.menuCntnr.classList.remove("opti_ismenuitemselected");
+      this.selectionChanged(changes);
       this.lastSelectedMenuDataItem = null;
     },
   },
@@ -750,6 +3695,17 @@ OptiMenu.prototype = {
     isMenuitemDragListener: false,
     isMenuitemDragging: false,
     dragStartTarget: null,
+    // Pixels the mouse must move after mousedown to begin a drag.
+    dragThreshold: 3,
+    draggedMenuData: null,
+    lastDragEvent: null,
+
+    // { index, position } where index is the display index of the menuitem
+    // the drop indicator is displayed on and position is "before", "after"
+    // or "on".  Only used for dragReorder.
+    dropTarget: null,
+    autoScrollTimer: null,
+    autoScrollDistance: 0,
 
     /**
      *  dragPrepare
@@ -775,7 +3731,7 @@ OptiMenu.prototype = {
       let nodes = this.menuCntnr.childNodes;
       let len = nodes.length - 1;
       let count = 0;
-      for (let i=1;i<len;i++) {
+      for (let i = this._optiMenu.firstMenuitemNodeIndex; i < len; i++) {
         let menuitem = nodes[i];
         if (menuitem.isSelected) {
           count++;
@@ -785,16 +3741,27 @@ OptiMenu.prototype = {
       // Call listeners
       let e = this.dragStartEvent;
       let target = e.target;
-      let menuitem = target.opti_menuitem || (target.isOptiMenuitem ? target : null);
+      let menuitem = this._optiMenu.getMenuitemFromNode(target);
+
+      // Dragging without a selection is only possible for dragReorder.
+      let selected = this._optiMenu.getSelectedMenuData();
+      this.draggedMenuData = selected.length || !menuitem ? selected : [menuitem.opti_data];
 
       e.hybridType = "dragstart";
       e.menuitem = menuitem;
+      e.opti_draggedMenuData = this.draggedMenuData;
 
+      this.startDragSession();
       this._optiMenu.callActivityDDListeners(e);
     },
 
     dragMenuitem(e) {
       if (!this.isMenuitemDragging) {
+        let start = this.dragStartEvent;
+        if (Math.abs(e.clientX - start.clientX) < this.dragThreshold &&
+            Math.abs(e.clientY - start.clientY) < this.dragThreshold) {
+          return;
+        }
         this.dragStart();
       }
 
@@ -803,41 +3770,426 @@ OptiMenu.prototype = {
       if (!this.isMenuitemDragging) {
         this.initDragFeedbackItem();
       }
-      this.updateDragFeedbackItem(e);
-      this.isMenuitemDragging = true;
+      this.updateDragFeedbackItem(e);
+      this.isMenuitemDragging = true;
+
+      this.lastDragEvent = e;
+      if (this._optiMenu.dragGroup) {
+        this.updateDragSessionTarget(e);
+      } else if (this._optiMenu.dragReorder) {
+        this.updateDropTarget(e);
+        this.updateAutoScroll(e);
+      }
+    },
+
+    initDragFeedbackItem(e) {
+      let count = this.draggedMenuData.length;
+      this.dragFeedback.textContent = "Moving "+count+" tab"+(count == 1 ? "" : "s");
+    },
+
+    updateDragFeedbackItem(e) {
+      let x = e.clientX;
+      let y = e.clientY;
+
+      this.dragFeedback.style.display = "block";
+      this.dragFeedback.style.left = (x - 10)+"px";
+      this.dragFeedback.style.top = (y + 10)+"px";
+    },
+
+    /**
+     *  Act on dropping on messageCntnr or a menuitem in the tabs menu.
+     */
+    onDrop(e) {
+      if (!e.target || !this.isMenuitemDragging) {
+        return;
+      }
+
+      // Call listeners
+      let session = OptiMenu.dragSession;
+      let targetMenu = session && session.sourceMenu == this._optiMenu && session.targetMenu;
+      (targetMenu || this._optiMenu).dragDrop.deliverDrop(e, this._optiMenu, this.draggedMenuData);
+    },
+
+    /**
+     *  deliverDrop
+     *
+     *  Called on the dragDrop of the menu dropped on.  Calls the drop
+     *  listeners of the menu dropped on, and those of the menu dragged from if
+     *  it is another menu, then applies the drop for dragReorderApply.
+     *
+     *  @param sourceMenu - the OptiMenu dragged from, null if from elsewhere.
+     *  @param draggedMenuData - menu data dragged, null if from elsewhere.
+     */
+    deliverDrop(e, sourceMenu, draggedMenuData) {
+      let targetMenu = this._optiMenu;
+      this.setDropEventProperties(e, sourceMenu, draggedMenuData);
+      targetMenu.callActivityDDListeners(e);
+      if (sourceMenu && sourceMenu != targetMenu) {
+        sourceMenu.callActivityDDListeners(e);
+      }
+      this.applyDrop(e);
+    },
+
+    setDropEventProperties(e, sourceMenu, draggedMenuData) {
+      let target = e.target;
+      let menuitem = this._optiMenu.getMenuitemFromNode(target);
+
+      e.hybridType = "drop";
+      e.menuitem = menuitem;
+      e.opti_selectedMenuData = (sourceMenu || this._optiMenu).getSelectedMenuData();
+      e.opti_draggedMenuData = draggedMenuData;
+      e.opti_sourceMenu = sourceMenu;
+      e.opti_targetMenu = this._optiMenu;
+
+      // dropIndex is the index in the full menu data of the menu data the
+      // drop is relative to, -1 if not dropped on the menu.
+      let dropTarget = this.dropTarget;
+      let dropData = dropTarget && this._optiMenu._displayMenuData[dropTarget.index];
+      if (dropTarget) {
+        e.dropIndex = dropData ? dropData.opti_index : 0;
+        e.dropPosition = dropTarget.position;
+      } else {
+        e.dropIndex = -1;
+        e.dropPosition = null;
+      }
+    },
+
+    /**
+     *  applyDrop
+     *
+     *  Moves the dropped menu data for dragReorderApply, unless a listener
+     *  called preventDefault() on the drop event.
+     */
+    applyDrop(e) {
+      let optiMenu = this._optiMenu;
+      let sourceMenu = e.opti_sourceMenu;
+      let draggedMenuData = e.opti_draggedMenuData;
+      let dropTarget = this.dropTarget;
+      if (!optiMenu.dragReorderApply || !dropTarget || dropTarget.position == "on" ||
+          !draggedMenuData || e.defaultPrevented) {
+        return;
+      }
+
+      let index = e.dropIndex + (dropTarget.position == "after" ? 1 : 0);
+      if (sourceMenu == optiMenu) {
+        optiMenu.moveItemsTo(draggedMenuData, index);
+        return;
+      }
+
+      // Moving to another menu, selection doesn't come along.
+      sourceMenu.removeMenuData(draggedMenuData);
+      for (let data of draggedMenuData) {
+        delete(data.isSelected);
+      }
+      optiMenu.insertItems(index, draggedMenuData);
+    },
+
+    /**
+     *  Drag sessions, for dragging between menus of the same dragGroup.
+     *  OptiMenu.dragSession is { sourceMenu, targetMenu, draggedMenuData }
+     *  while dragging from a menu which has a dragGroup.
+     */
+    startDragSession() {
+      let optiMenu = this._optiMenu;
+      if (!optiMenu.dragGroup) {
+        return;
+      }
+      OptiMenu.dragSession = {
+        sourceMenu: optiMenu,
+        targetMenu: null,
+        draggedMenuData: this.draggedMenuData,
+      };
+    },
+
+    endDragSession() {
+      let session = OptiMenu.dragSession;
+      if (!session || session.sourceMenu != this._optiMenu) {
+        return;
+      }
+      for (let menu of this._optiMenu.getDragGroupMenus()) {
+        menu.dragDrop.clearDropTarget();
+      }
+      OptiMenu.dragSession = null;
+    },
+
+    /**
+     *  getGroupDragSession
+     *
+     *  @return the current drag session if it is from another menu of this
+     *    menu's dragGroup, otherwise null.
+     */
+    getGroupDragSession() {
+      let session = OptiMenu.dragSession;
+      let optiMenu = this._optiMenu;
+      if (!session || !optiMenu.dragGroup || session.sourceMenu == optiMenu ||
+          session.sourceMenu.dragGroup != optiMenu.dragGroup) {
+        return null;
+      }
+      return session;
+    },
+
+    /**
+     *  updateDragSessionTarget
+     *
+     *  For mouse event dragging, determines which menu of the dragGroup the
+     *  mouse is over, and updates the drop indicator of each.  The source
+     *  menu is only a target if it has dragReorder.
+     */
+    updateDragSessionTarget(e) {
+      let session = OptiMenu.dragSession;
+      let sourceMenu = this._optiMenu;
+      let x = e.clientX;
+      let y = e.clientY;
+      let menus = sourceMenu.getDragGroupMenus().filter(menu => menu != sourceMenu ||
+                                                                sourceMenu.dragReorder);
+
+      let targetMenu = menus.find(menu => menu.dragDrop.getDropTarget(x, y));
+      if (!targetMenu && session.targetMenu) {
+        // Keep auto-scrolling the previous target while dragging beyond its
+        // top or bottom edge.
+        let rect = session.targetMenu.menuCntnr.getBoundingClientRect();
+        if (x >= rect.left && x <= rect.right) {
+          targetMenu = session.targetMenu;
+        }
+      }
+      session.targetMenu = targetMenu || null;
+
+      for (let menu of sourceMenu.getDragGroupMenus()) {
+        let dragDrop = menu.dragDrop;
+        if (menu == targetMenu) {
+          dragDrop.lastDragEvent = e;
+          dragDrop.updateDropTarget(e);
+          dragDrop.updateAutoScroll(e);
+        } else {
+          dragDrop.clearDropTarget();
+        }
+      }
+    },
+
+    /**
+     *  getDropTarget
+     *
+     *  Computes where dragged menuitems would be dropped for the mouse at
+     *  x, y, or null if it is not over the menu.
+     */
+    getDropTarget(x, y) {
+      let optiMenu = this._optiMenu;
+      let rect = this.menuCntnr.getBoundingClientRect();
+      if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) {
+        return null;
+      }
+
+      let len = optiMenu._displayMenuData.length;
+      if (!len) {
+        return { index: 0, position: "before" };
+      }
+
+      let contentY = y - rect.top - this.menuCntnr.clientTop + this.menuCntnr.scrollTop;
+      if (contentY >= optiMenu.getIndexOffset(len)) {
+        return { index: len - 1, position: "after" };
+      }
+      let index = optiMenu.getIndexAtOffset(contentY);
+
+      let fraction = (contentY - optiMenu.getIndexOffset(index)) / optiMenu.getIndexHeight(index);
+      let position;
+      if (optiMenu.dragDropOnto) {
+        position = fraction < 0.25 ? "before" : (fraction > 0.75 ? "after" : "on");
+      } else {
+        position = fraction < 0.5 ? "before" : "after";
+      }
+      return { index, position };
+    },
+
+    updateDropTarget(e) {
+      let dropTarget = this.getDropTarget(e.clientX, e.clientY);
+      let prev = this.dropTarget;
+      if (dropTarget && prev && dropTarget.index == prev.index &&
+          dropTarget.position == prev.position) {
+        return;
+      }
+      this.dropTarget = dropTarget;
+      this.updateDropIndicator();
+    },
+
+    updateDropIndicator() {
+      let dropTarget = this.dropTarget;
+      let nodes = this.menuCntnr.childNodes;
+      let len = nodes.length - 1;
+      for (let i = this._optiMenu.firstMenuitemNodeIndex; i < len; i++) {
+        let menuitem = nodes[i];
+        menuitem.classList.remove("opti_dropbefore", "opti_dropafter", "opti_dropon");
+        if (dropTarget && menuitem.opti_displayIndex == dropTarget.index) {
+          menuitem.classList.add("opti_drop" + dropTarget.position);
+        }
+      }
+    },
+
+    /**
+     *  updateAutoScroll
+     *
+     *  Scrolls the menu while the mouse is within a menuitem's height of its
+     *  top or bottom edge, or beyond it, faster the further it is.  This is
+     *  done on an interval since there are no mousemove events while the
+     *  mouse is still.
+     */
+    updateAutoScroll(e) {
+      let rect = this.menuCntnr.getBoundingClientRect();
+      let zone = this._optiMenu.miHeight;
+      let x = e.clientX;
+      let y = e.clientY;
+
+      let distance = 0;
+      if (x >= rect.left && x <= rect.right) {
+        if (y < rect.top + zone) {
+          distance = y - (rect.top + zone);
+        } else if (y > rect.bottom - zone) {
+          distance = y - (rect.bottom - zone);
+        }
+      }
+
+      if (!distance) {
+        this.stopAutoScroll();
+        return;
+      }
+
+      let sign = distance < 0 ? -1 : 1;
+      this.autoScrollDistance = sign * Math.min(zone * 2, Math.max(2, Math.abs(distance) / 2));
+      if (!this.autoScrollTimer) {
+        this.autoScrollTimer = this._optiMenu.window.setInterval(() => this.autoScroll(), 30);
+      }
+    },
+
+    autoScroll() {
+      let menuCntnr = this.menuCntnr;
+      let prevScrollTop = menuCntnr.scrollTop;
+      menuCntnr.scrollTop = prevScrollTop + this.autoScrollDistance;
+      if (menuCntnr.scrollTop == prevScrollTop) {
+        return;
+      }
+      this._optiMenu.psuedoScroll(menuCntnr.scrollTop);
+      this.updateDropTarget(this.lastDragEvent);
+    },
+
+    stopAutoScroll() {
+      if (this.autoScrollTimer) {
+        this._optiMenu.window.clearInterval(this.autoScrollTimer);
+        this.autoScrollTimer = null;
+      }
+    },
+
+    clearDropTarget() {
+      this.stopAutoScroll();
+      this.lastDragEvent = null;
+      if (this.dropTarget) {
+        this.dropTarget = null;
+        this.updateDropIndicator();
+      }
+    },
+
+    // Native (HTML5) drag and drop, for the nativeDragDrop option.
+
+    isNativeDragSource: false,
+
+    onNativeDragStart(e) {
+      let optiMenu = this._optiMenu;
+      let target = e.target;
+      let menuitem = optiMenu.getMenuitemFromNode(target);
+      if (!menuitem) {
+        return;
+      }
+
+      let selected = optiMenu.getSelectedMenuData();
+      if (!selected.length && menuitem.opti_data.isGroupHeader) {
+        e.preventDefault();
+        return;
+      }
+      this.draggedMenuData = selected.length ? selected : [menuitem.opti_data];
+      this.isNativeDragSource = true;
+
+      let serialized = optiMenu.dragSerializer ?
+        optiMenu.dragSerializer(this.draggedMenuData) :
+        { "text/plain": this.draggedMenuData.map(data => optiMenu.getMenuText(data)).join("\n") };
+      for (let type in serialized) {
+        e.dataTransfer.setData(type, serialized[type]);
+      }
+      e.dataTransfer.effectAllowed = "copyMove";
+
+      e.hybridType = "dragstart";
+      e.menuitem = menuitem;
+      e.opti_draggedMenuData = this.draggedMenuData;
+      this.startDragSession();
+      optiMenu.callActivityDDListeners(e);
     },
 
-    initDragFeedbackItem(e) {
-      let count = this._optiMenu.getSelectedMenuData().length;
-      this.dragFeedback.textContent = "Moving "+count+" tab"+(count == 1 ? "" : "s");
+    acceptsNativeDrop(dataTransfer) {
+      let types = this._optiMenu.nativeDropTypes;
+      if (this.isNativeDragSource || this.getGroupDragSession() || !types) {
+        return true;
+      }
+      return Array.from(dataTransfer.types).some(type => types.includes(type));
     },
 
-    updateDragFeedbackItem(e) {
-      let x = e.clientX;
-      let y = e.clientY;
+    onNativeDragOver(e) {
+      if (!this.acceptsNativeDrop(e.dataTransfer)) {
+        return;
+      }
+      // Accept the drop.
+      e.preventDefault();
+      e.dataTransfer.dropEffect =
+        this.isNativeDragSource || this.getGroupDragSession() ? "move" : "copy";
+
+      this.lastDragEvent = { clientX: e.clientX, clientY: e.clientY };
+      this.updateDropTarget(e);
+      this.updateAutoScroll(e);
+    },
 
-      this.dragFeedback.style.display = "block";
-      this.dragFeedback.style.left = (x - 10)+"px";
-      this.dragFeedback.style.top = (y + 10)+"px";
+    onNativeDragLeave(e) {
+      if (e.relatedTarget && this.menuCntnr.contains(e.relatedTarget)) {
+        return;
+      }
+      this.clearDropTarget();
     },
 
-    /**
-     *  Act on dropping on messageCntnr or a menuitem in the tabs menu.
-     */
-    onDrop(e) {
-      if (!e.target || !this.isMenuitemDragging) {
+    onNativeDrop(e) {
+      if (!this.acceptsNativeDrop(e.dataTransfer)) {
         return;
       }
+      this.updateDropTarget(e);
+
+      let session = this.getGroupDragSession();
+      let sourceMenu = null;
+      let draggedMenuData = null;
+      if (this.isNativeDragSource) {
+        sourceMenu = this._optiMenu;
+        draggedMenuData = this.draggedMenuData;
+      } else if (session) {
+        sourceMenu = session.sourceMenu;
+        draggedMenuData = session.draggedMenuData;
+      }
 
-      // Call listeners
-      let target = e.target;
-      let menuitem = target.opti_menuitem || (target.isOptiMenuitem ? target : null);
+      // Data dropped from elsewhere is only available from e.dataTransfer.
+      e.opti_isExternalDrop = !sourceMenu;
+      this.deliverDrop(e, sourceMenu, draggedMenuData);
+      this.clearDropTarget();
 
-      e.hybridType = "drop";
-e.menuitem = menuitem;
-      e.opti_selectedMenuData = this._optiMenu.getSelectedMenuData();
+      // This must follow applyDrop(), which checks whether a listener called
+      // preventDefault().  Otherwise the browser may open dropped links, etc.
+      e.preventDefault();
+    },
 
-      this._optiMenu.callActivityDDListeners(e);
+    onNativeDragEnd(e) {
+      let optiMenu = this._optiMenu;
+      this.endDragSession();
+      this.isNativeDragSource = false;
+      this.draggedMenuData = null;
+      this.clearDropTarget();
+
+      // No mouseup follows a native drag, so clear selection here as
+      // handleEvent() would have.
+      if (optiMenu.clearSelectionOnMouseRelease) {
+        optiMenu.clearSelectionOnMouseRelease = false;
+        optiMenu.select.clearMenuitemSelection();
+      }
     },
 
     dragEnd(e) {
@@ -850,6 +4202,10 @@ e.menuitem = menuitem;
       this.isMenuitemDragListener = false;
       this.menuCntnr.classList.remove("opti_dragging_menuitem");
       this.dragFeedback.style.display = "none";
+
+      this.endDragSession();
+      this.draggedMenuData = null;
+      this.clearDropTarget();
     },
 
     handleEvent(e) {
@@ -857,6 +4213,21 @@ e.menuitem = menuitem;
         case "mousemove":
           this.dragMenuitem(e);
           break;
+        case "dragstart":
+          this.onNativeDragStart(e);
+          break;
+        case "dragover":
+          this.onNativeDragOver(e);
+          break;
+        case "dragleave":
+          this.onNativeDragLeave(e);
+          break;
+        case "drop":
+          this.onNativeDrop(e);
+          break;
+        case "dragend":
+          this.onNativeDragEnd(e);
+          break;
       }
     },
   },
@@ -865,27 +4236,87 @@ e.menuitem = menuitem;
 ///////////////////////////////////////////////////////////////////////////////
 // UTILS
 
+  /*
+   * getMenuitemFromNode
+   *
+   * @param node object - a node in the menu, such as an event target.
+   * @return object - the menuitem containing node (node itself if it is a
+   *   menuitem), or null if it isn't in a menuitem.  Content the renderer
+   *   adds to a menuitem at any time is found.
+   */
+  getMenuitemFromNode(node) {
+    while (node && node != this.menuCntnr) {
+      if (node.isOptiMenuitem) {
+        return node;
+      }
+      node = node.parentNode;
+    }
+    return null;
+  },
+
+  /*
+   * spliceArray
+   *
+   * Like Array.prototype.splice(), but inserts items in chunks, since
+   * spreading a very large array as arguments could exceed the maximum call
+   * stack size.
+   *
+   * @return array - the removed elements.
+   */
+  spliceArray(array, index, removeCount, items) {
+    let removed = array.splice(index, removeCount);
+    let chunkSize = 10000;
+    for (let i = 0; i < items.length; i += chunkSize) {
+      array.splice(index + i, 0, ...items.slice(i, i + chunkSize));
+    }
+    return removed;
+  },
+
+  getDragGroupMenus() {
+    let menus = [];
+    for (let menu of OptiMenu.dragGroupMenus) {
+      if (menu.dragGroup == this.dragGroup) {
+        menus.push(menu);
+      }
+    }
+    return menus;
+  },
+
   getHoveredMenuitem() {
     let nodes = this.menuCntnr.childNodes;
     let len = nodes.length - 1;
-    for (let i = 1; i < len; i++) {
+    for (let i = this.firstMenuitemNodeIndex; i < len; i++) {
       let menuitem = nodes[i];
       if (menuitem.matches(".opti_menu_outer_container > div:hover")) {
         return menuitem;
       }
     }
+    let stickyHeader = this.opti_stickyheader;
+    if (stickyHeader && stickyHeader.opti_data && stickyHeader.matches(":hover")) {
+      return stickyHeader;
+    }
   },
 
   frozenHoveredItem: null,
 
   freezeHoveredItem(unfreeze) {
     if (unfreeze && this.frozenHoveredItem) {
+      this.unfreezeMenuitem();
+      return;
+    }
+    this.freezeMenuitem(this.getHoveredMenuitem());
+  },
+
+  unfreezeMenuitem() {
+    if (this.frozenHoveredItem) {
       this.menuCntnr.classList.remove("opti_menufrozen");
       this.frozenHoveredItem.classList.remove("opti_frozen_menuitem");
       this.frozenHoveredItem = null;
-      return;
     }
-    this.frozenHoveredItem = this.getHoveredMenuitem();
+  },
+
+  freezeMenuitem(menuitem) {
+    this.frozenHoveredItem = menuitem;
     if (this.frozenHoveredItem) {
       this.menuCntnr.classList.add("opti_menufrozen");
       this.frozenHoveredItem.classList.add("opti_frozen_menuitem");
@@ -932,7 +4363,8 @@ e.menuitem = menuitem;
    * If index is not visible, scrolls the menu just enough to bring the index
    * into visibility, whether at the top or bottom, whichever is nearest.
    *
-   * @param index number - the index to ensure visibility
+   * @param index number - the index to ensure visibility (display index if the
+   *                       menu is filtered, see setFilter())
    * @param topMargin number - rather than just bringing the index into visiblity
    *                           at the very top of the menu, will ensure it is at
    *                           least topMargin number of indices below that.
@@ -946,62 +4378,392 @@ e.menuitem = menuitem;
     let currentScrollTop = this.menuCntnr.scrollTop;
     let { height } = this.menuCntnr.getBoundingClientRect();
 
-    let indexPixels = index * this.miHeight;
-    let topMarginPixels = topMargin * this.miHeight;
+    let indexTop = this.getIndexOffset(index);
+    let topMarginPixels = indexTop - this.getIndexOffset(index - topMargin);
 
-    if (forceToTop || indexPixels < currentScrollTop + topMarginPixels) {
-      this.menuCntnr.scrollTop = indexPixels - topMarginPixels;
+    if (forceToTop || indexTop < currentScrollTop + topMarginPixels) {
+      this.menuCntnr.scrollTop = indexTop - topMarginPixels;
       return;
     }
 
-    let scrollHeight = height - this.miHeight;
-    let bottomMarginPixels = bottomMargin * this.miHeight;
+    let indexBottom = this.getIndexOffset(index + 1);
+    let bottomMarginPixels = this.getIndexOffset(index + 1 + bottomMargin) - indexBottom;
 
-    if (indexPixels > (currentScrollTop + scrollHeight) - bottomMarginPixels) {
-      this.menuCntnr.scrollTop = indexPixels - scrollHeight;
+    if (indexBottom > (currentScrollTop + height) - bottomMarginPixels) {
+      this.menuCntnr.scrollTop = indexBottom + bottomMarginPixels - height;
       return;
     }
   },
 
-  lastKeyHoveredItem: null,
+///////////////////////////////////////////////////////////////////////////////
+///////////////////////////////////////////////////////////////////////////////
+// KEYBOARD NAVIGATION
+
+  // Index into _displayMenuData of the key hovered menuitem, -1 if none.  We
+  // track a data index rather than a menuitem since menuitems are recycled as
+  // the menu scrolls.
+  keyHoveredIndex: -1,
+  isKeyNavigating: false,
+  lastMouseX: -1,
+  lastMouseY: -1,
+
+  typeAhead: false,
+  typeAheadBuffer: "",
+  typeAheadTimer: null,
+  // Milliseconds after the last key typed that the type-ahead buffer is reset.
+  typeAheadTimeout: 1000,
 
-  keyboardAction(e) {
-    let keyCode = e.keyCode;
-    if (keyCode == 38 || keyCode == 40) {
-      let hovered;
-      if (!this.lastKeyHoveredItem) {
-        for (let item of this.menuCntnr.childNodes) {
-          if (item.classList.contains("opti_menuitem") && item.matches(":hover")) {
-            hovered = item;
-          }
-        }
+  /*
+   * getKeyHoveredIndex
+   *
+   * @return number - the index into the menu data of the key hovered
+   *   menuitem, or -1 if there is none.
+   */
+  getKeyHoveredIndex() {
+    return this.keyHoveredIndex;
+  },
+
+  /*
+   * setKeyHoveredIndex
+   *
+   * Moves the key hovered menuitem to index, scrolling the menu if needed to
+   * bring it into view.
+   *
+   * @param index number - the index into the menu data, will be clamped to
+   *   the bounds of the menu data.
+   */
+  setKeyHoveredIndex(index) {
+    let len = this._displayMenuData.length;
+    if (!len) {
+      this.keyHoveredIndex = -1;
+      return;
+    }
+    index = Math.max(0, Math.min(index, len - 1));
+
+    this.keyHoveredIndex = index;
+    this.isKeyNavigating = true;
+    this.menuCntnr.classList.add("opti_keynavigating");
+
+    this.ensureIndexIsVisible(index);
+    // Setting scrollTop won't fire the scroll event until later, refresh now
+    // so the key hovered menuitem is displayed (and available) immediately.
+    this.psuedoScroll(this.menuCntnr.scrollTop);
+    this.updateKeyHoveredDisplay();
+  },
+
+  updateKeyHoveredDisplay() {
+    let nodes = this.menuCntnr.childNodes;
+    let len = nodes.length - 1;
+    for (let i = this.firstMenuitemNodeIndex; i < len; i++) {
+      let menuitem = nodes[i];
+      if (menuitem.opti_displayIndex == this.keyHoveredIndex) {
+        menuitem.classList.add("opti_keyhovered");
       } else {
-        hovered = this.lastKeyHoveredItem;
-        hovered.classList.remove("keyhovered");
+        menuitem.classList.remove("opti_keyhovered");
+      }
+    }
+    this.updateActiveDescendant();
+  },
+
+  /*
+   * updateActiveDescendant
+   *
+   * Points aria-activedescendant of the menu at the menuitem currently
+   * displaying the key hovered menu data, or removes it if that menu data
+   * is scrolled out of view.
+   */
+  updateActiveDescendant() {
+    let menuitem = this.keyHoveredIndex < 0 ? null : this.getMenuitemAtIndex(this.keyHoveredIndex);
+    if (menuitem) {
+      this.menuCntnr.setAttribute("aria-activedescendant", menuitem.id);
+    } else {
+      this.menuCntnr.removeAttribute("aria-activedescendant");
+    }
+  },
+
+  stopKeyNavigating() {
+    this.isKeyNavigating = false;
+    this.menuCntnr.classList.remove("opti_keynavigating");
+  },
+
+  /*
+   * getMenuitemAtIndex
+   *
+   * @param index number - display index of menu data.
+   * @return the menuitem currently displaying the menu data, or null if it is
+   *   not displayed.
+   */
+  getMenuitemAtIndex(index) {
+    let nodes = this.menuCntnr.childNodes;
+    let len = nodes.length - 1;
+    for (let i = this.firstMenuitemNodeIndex; i < len; i++) {
+      if (nodes[i].opti_displayIndex == index) {
+        return nodes[i];
       }
+    }
+    return null;
+  },
 
-      if (!hovered) {
-        hovered = keyCode == 40 ? this.menuCntnr.firstChild : this.menuCntnr.lastChild;
+  getMenuitemAtSourceIndex(index) {
+    let nodes = this.menuCntnr.childNodes;
+    let len = nodes.length - 1;
+    for (let i = this.firstMenuitemNodeIndex; i < len; i++) {
+      if (nodes[i].currentMenuDataIndex == index) {
+        return nodes[i];
       }
+    }
+    return null;
+  },
 
+  /*
+   * getPageIndex
+   *
+   * @param index number - display index to page from.
+   * @param direction number - 1 to page down, -1 to page up.
+   * @return number - the display index a page from index, a page being the
+   *   height of the menu less one menuitem, and at least one menuitem.
+   */
+  getPageIndex(index, direction) {
+    let { height } = this.menuCntnr.getBoundingClientRect();
+    let pageHeight = Math.max(this.miHeight, height - this.miHeight);
+    let offset = this.getIndexOffset(index) + direction * pageHeight;
+    let pageIndex = this.getIndexAtOffset(Math.max(0, offset));
+    if (direction > 0) {
+      return Math.max(pageIndex, index + 1);
+    }
+    return Math.min(pageIndex, index - 1);
+  },
 
-      if (keyCode == 40) {
-        if (hovered.nextSibling.classList.contains("opti_menuitem")) {
-          this.lastKeyHoveredItem = hovered.nextSibling;
-          this.lastKeyHoveredItem.classList.add("keyhovered");
-        } else {
-          this.lastKeyHoveredItem = null;
+  handleTypeToSearch(e) {
+    if (e.key == "Backspace") {
+      if (!this.searchQuery) {
+        return false;
+      }
+      this.setSearch(this.searchQuery.slice(0, -1));
+      return true;
+    }
+    if (e.key == "Escape") {
+      if (!this.searchQuery) {
+        return false;
+      }
+      this.clearSearch();
+      return true;
+    }
+    // Printable characters only, which have single character key values.
+    if (e.key.length == 1) {
+      this.setSearch(this.searchQuery + e.key);
+      return true;
+    }
+    return false;
+  },
+
+  /*
+   * handleTypeAhead
+   *
+   * Buffers typed keys and moves the key hovered menuitem to the next menu
+   * data (wrapping around) whose text begins with the buffer.  Typing the
+   * same character repeatedly cycles through menu data beginning with it.
+   * The displayed menu is not changed other than scrolling.
+   */
+  handleTypeAhead(e) {
+    let key = e.key;
+    // Printable characters only, space only once something has been typed.
+    if (key.length != 1 || (key == " " && !this.typeAheadBuffer)) {
+      return false;
+    }
+
+    this.window.clearTimeout(this.typeAheadTimer);
+    this.typeAheadTimer = this.window.setTimeout(() => {
+      this.typeAheadBuffer = "";
+    }, this.typeAheadTimeout);
+
+    let buffer = this.typeAheadBuffer + key.toLowerCase();
+    this.typeAheadBuffer = buffer;
+
+    let isRepeat = buffer.split("").every(ch => ch == buffer[0]);
+    let term = isRepeat ? buffer[0] : buffer;
+    // A new or repeated character looks past the current menuitem, otherwise
+    // the current menuitem may still match the longer buffer.
+    let startIndex = this.keyHoveredIndex + (isRepeat ? 1 : 0);
+
+    let index = this.findTypeAheadMatch(term, startIndex);
+    if (index >= 0) {
+      this.setKeyHoveredIndex(index);
+    }
+    return true;
+  },
+
+  findTypeAheadMatch(term, startIndex) {
+    let _displayMenuData = this._displayMenuData;
+    let len = _displayMenuData.length;
+    startIndex = Math.max(0, startIndex);
+    for (let n = 0; n < len; n++) {
+      let i = (startIndex + n) % len;
+      if (this.getMenuText(_displayMenuData[i]).toLowerCase().startsWith(term)) {
+        return i;
+      }
+    }
+    return -1;
+  },
+
+  /*
+   * groupKeyboardAction
+   *
+   * ArrowLeft collapses the group of a key hovered group header, or moves to
+   * the group header from within its group.  ArrowRight expands it.
+   */
+  groupKeyboardAction(e, index) {
+    let data = this._displayMenuData[index];
+    // Group headers aren't displayed while searching.
+    if (!data || this.getSearchTerm()) {
+      return;
+    }
+    let header = this.getMenuDataGroupHeader(data);
+    if (!header || header.opti_displayIndex < 0) {
+      return;
+    }
+    e.preventDefault();
+
+    let collapse = e.key == "ArrowLeft";
+    if (data != header) {
+      if (collapse) {
+        this.setKeyHoveredIndex(header.opti_displayIndex);
+      }
+      return;
+    }
+    if (collapse != !!header.isCollapsed) {
+      this.setKeyHoveredIndex(index);
+      this.toggleGroupFromEvent(e, this.getMenuitemAtIndex(index));
+    }
+  },
+
+  keyboardAction(e) {
+    if (this.frozenHoveredItem || e.altKey) {
+      return;
+    }
+    if (e.ctrlKey || e.metaKey) {
+      // Ctrl + navigation keys move the key hovered menuitem without changing
+      // the selection, as navigation keys always do.
+      if (this.selectionKeyboardAction(e) || !this.isNavigationKey(e.key)) {
+        return;
+      }
+    }
+
+    if (this.typeToSearch && this.handleTypeToSearch(e)) {
+      e.preventDefault();
+      return;
+    }
+
+    if (this.typeAhead && !this.typeToSearch && this.handleTypeAhead(e)) {
+      e.preventDefault();
+      return;
+    }
+
+    let lastIndex = this._displayMenuData.length - 1;
+    let index = this.keyHoveredIndex;
+    // With nothing key hovered yet, begin from the top of the displayed menu.
+    let startIndex = index < 0 ? Math.min(this.currentIndex, lastIndex) : index;
+
+    switch (e.key) {
+      case "ArrowDown":
+        index = index < 0 ? startIndex : index + 1;
+        break;
+      case "ArrowUp":
+        index = index < 0 ? startIndex : index - 1;
+        break;
+      case "PageDown":
+        index = this.getPageIndex(startIndex, 1);
+        break;
+      case "PageUp":
+        index = this.getPageIndex(startIndex, -1);
+        break;
+      case "Home":
+        index = 0;
+        break;
+      case "End":
+        index = lastIndex;
+        break;
+      case "ArrowLeft":
+      case "ArrowRight":
+        if (this.submenuKeyboardAction(e, index)) {
+          return;
         }
-      } else {
-        if (hovered.previousSibling.classList.contains("opti_menuitem")) {
-          this.lastKeyHoveredItem = hovered.previousSibling;
-          this.lastKeyHoveredItem.classList.add("keyhovered");
+        if (this.treeMode) {
+          this.treeKeyboardAction(e, index);
         } else {
-          this.lastKeyHoveredItem = null;
+          this.groupKeyboardAction(e, index);
+        }
+        return;
+      case "Enter":
+        if (index < 0) {
+          return;
+        }
+        e.preventDefault();
+        // Make sure the menuitem is displayed so listeners have access to it.
+        this.setKeyHoveredIndex(index);
+        if (this._displayMenuData[index].isGroupHeader) {
+          this.toggleGroupFromEvent(e, this.getMenuitemAtIndex(index));
+          return;
+        }
+        if (this.submenuKeyboardAction(e, index)) {
+          return;
+        }
+        e.hybridType = "menuitemclick";
+        e.menuitem = this.getMenuitemAtIndex(index);
+        this.callActivityActionListeners(e);
+        this.closeAfterMenuitemClick();
+        return;
+      case "Escape":
+        if (!this.submenuKeyboardAction(e, index) && this.isPopupOpen) {
+          e.preventDefault();
+          this.closePopup("escape");
         }
+        return;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    let prevIndex = this.keyHoveredIndex;
+    this.setKeyHoveredIndex(index);
+    if (e.shiftKey && this.isMultiSelectable()) {
+      // Extend the selection from the anchor, or if there is none, from where
+      // the key hovered menuitem was.
+      let _displayMenuData = this._displayMenuData;
+      this.select.selectRangeFromAnchor(_displayMenuData[this.keyHoveredIndex],
+                                        _displayMenuData[prevIndex < 0 ? startIndex : prevIndex]);
+    }
+  },
+
+  isNavigationKey(key) {
+    return ["ArrowDown", "ArrowUp", "PageDown", "PageUp", "Home", "End"].includes(key);
+  },
+
+  /*
+   * selectionKeyboardAction
+   *
+   * Ctrl + Space toggles the selection of the key hovered menuitem, making it
+   * the anchor of range selection.  Ctrl + A selects all.
+   *
+   * @return boolean - true if the key was handled.
+   */
+  selectionKeyboardAction(e) {
+    if (e.key == " ") {
+      let data = this._displayMenuData[this.keyHoveredIndex];
+      if (!data || !this.select.isSelectable(data)) {
+        return false;
       }
-      return;
+      e.preventDefault();
+      this.setKeyHoveredIndex(this.keyHoveredIndex);
+      this.select.toggleMenuDataSelected(data);
+      return true;
+    }
+    if ((e.key == "a" || e.key == "A") && this.isMultiSelectable()) {
+      e.preventDefault();
+      this.selectAll();
+      return true;
     }
+    return false;
   },
 
 ///////////////////////////////////////////////////////////////////////////////
@@ -1017,20 +4779,52 @@ e.menuitem = menuitem;
 
     switch(e.type) {
       case 'mousedown':
+        if (e.currentTarget == this.window) {
+          // Listened for while a popup is open.
+          if (!this.isNodeInMenus(target)) {
+            this.closePopup("outsideclick");
+          }
+          return;
+        }
         if (e.button != 0) {
           return;
         }
 
-        e.preventDefault();
+        // preventDefault() would prevent native drag and drop from starting.
+        if (!this.nativeDragDrop) {
+          e.preventDefault();
+        }
+        // preventDefault() keeps the menu from taking focus, which it needs for
+        // keyboard navigation.
+        this.menuCntnr.focus({ preventScroll: true });
 
         if (this.frozenHoveredItem) {
           return;
         }
 
-        if (e.ctrlKey || e.metaKey || e.shiftKey) {
+        menuitem = this.getMenuitemFromNode(target);
+        if (target.className == "opti_treetwisty" ||
+            (menuitem && menuitem.opti_data && menuitem.opti_data.isGroupHeader)) {
+          // Toggled on click, leaving the selection as it is.
+        } else if (target.className == "opti_checkbox" ||
+            (this.selectionMode != "none" && (e.ctrlKey || e.metaKey || e.shiftKey))) {
           this.select.handleMenuitemSelect(e);
         } else if (this.select.isMenuitemSelected) {
           this.clearSelectionOnMouseRelease = true;
+          if (!this.nativeDragDrop) {
+            this.dragDrop.dragPrepare(e);
+          }
+        } else if (this.selectionMode == "single" && menuitem &&
+                   this.select.isSelectable(menuitem.opti_data)) {
+          let changes = { added: [], removed: [] };
+          this.select.setMenuDataSelected(menuitem.opti_data, true, changes);
+          this.select.selectionChanged(changes);
+          // Dragging the newly selected menuitem.
+          if (!this.nativeDragDrop) {
+            this.dragDrop.dragPrepare(e);
+          }
+        } else if (this.dragReorder && !this.nativeDragDrop && menuitem &&
+                   !menuitem.opti_data.isGroupHeader) {
           this.dragDrop.dragPrepare(e);
         }
 
@@ -1046,6 +4840,14 @@ e.menuitem = menuitem;
         // Important: This must precede code that calls clearMenuitemSelection() !!!
         this.dragDrop.onDrop(e);
 
+        if (this.dragDrop.isMenuitemDragging && this.dragReorder) {
+          // If the drag ended on the menuitem it began on, a click will be
+          // fired next, which shouldn't act on the menuitem.  Otherwise no
+          // click is fired, so don't leave inhibitClick set.
+          this.inhibitClick = true;
+          this.window.setTimeout(() => { this.inhibitClick = false; }, 0);
+        }
+
         if (this.clearSelectionOnMouseRelease) {
           this.clearSelectionOnMouseRelease = false;
           this.select.clearMenuitemSelection();
@@ -1064,15 +4866,49 @@ e.menuitem = menuitem;
 
         this.callActivityMouseListeners(e);
         break;
-      case 'mouseover':
-        // TODO: beginnings of keyboard navigation
-        menuitem = e.target.opti_menuitem || e.target;
-        if (menuitem.classList.contains("opti_menuitem")) {
-          this.lastKeyHoveredItem.classList.remove("keyhovered");
+      case 'mousemove':
+        // Scrolling the menu with the keyboard can move menuitems under a
+        // stationary mouse, so only give hovering back to the mouse if it has
+        // actually moved.
+        if (e.clientX == this.lastMouseX && e.clientY == this.lastMouseY) {
+          return;
+        }
+        this.lastMouseX = e.clientX;
+        this.lastMouseY = e.clientY;
+
+        if (this.isKeyNavigating) {
+          this.stopKeyNavigating();
+        }
+        menuitem = this.getMenuitemFromNode(target);
+        if (menuitem && menuitem.opti_displayIndex != this.keyHoveredIndex) {
+          // Key navigation picks up from wherever the mouse left off.
+          this.keyHoveredIndex = menuitem.opti_displayIndex;
+          this.updateKeyHoveredDisplay();
+        }
+
+        // The mouse made it to the submenu, so keep it open.
+        for (let menu = this.parentMenu; menu; menu = menu.parentMenu) {
+          menu.clearSubmenuTimer();
+        }
+        this.hoverSubmenuData(menuitem ? menuitem.opti_data : null);
+        break;
+      case 'focusout':
+        // Focus leaving a popup and its submenus closes it.
+        if (this.getRootMenu().isPopupOpen && !this.getRootMenu().isNodeInMenus(e.relatedTarget)) {
+          this.getRootMenu().closePopup("blur");
+        }
+        break;
+      case 'contextmenu':
+        if (this.contextMenu) {
+          this.openContextMenu(e);
         }
         break;
-      case 'mouseout':
-        // TODO: beginnings of keyboard navigation
+      case 'mouseleave':
+        // Close all submenus once the mouse has left them all.  Moving into
+        // any of them cancels this.
+        if (this.submenuData || this.parentMenu) {
+          this.getRootMenu().hoverSubmenuData(null);
+        }
         break;
       case 'click':
         if (e.button != 0 || this.frozenHoveredItem) {
@@ -1084,53 +4920,51 @@ e.menuitem = menuitem;
           return;
         }
 
-        if (this.select.isMenuitemSelected) {
+        // This assumes this listener is only set on this.menuCntnr.
+        if (target == this.menuCntnr) {
           return;
         }
 
-        // "opti_menuicon1" and "opti_menuicon2" must precede "opti_menuitem" as they would
-        // also trigger a menuitem click.
-
-        if (target.className == "opti_menuicon1") {
-          menuitem = target.opti_menuitem;
-
-          e.hybridType = "action1click";
-          e.menuitem = menuitem;
-          this.callActivityActionListeners(e);
+        // If target isn't in a menuitem, the user has inserted some of their
+        // own items into the menu.
+        menuitem = this.getMenuitemFromNode(target);
 
+        // Tree nodes and groups toggle whether or not menuitems are selected.
+        if (target.className == "opti_treetwisty") {
+          this.toggleTreeNodeFromEvent(e, menuitem.opti_data);
           return;
         }
 
-        if (target.className == "opti_menuicon2") {
-          menuitem = target.opti_menuitem;
+        if (menuitem && menuitem.opti_data && menuitem.opti_data.isGroupHeader) {
+          this.toggleGroupFromEvent(e, menuitem);
+          return;
+        }
 
-          e.hybridType = "action2click";
-          e.menuitem = menuitem;
-          this.callActivityActionListeners(e);
+        if (this.select.isMenuitemSelected) {
+          return;
+        }
 
+        // The checkbox was toggled on mousedown.
+        if (target.className == "opti_checkbox") {
           return;
         }
 
-        // This assumes this listener is only set on this.menuCntnr.
-        if (target == this.menuCntnr) {
+        // Clicking a menuitem with a submenu opens it immediately.
+        if (menuitem && menuitem.opti_data && menuitem.opti_data.submenu) {
+          this.openSubmenu(menuitem.opti_data);
           return;
         }
 
-        if (target.opti_menuitem || target.isOptiMenuitem) {
-          menuitem = target.opti_menuitem || target;
-        } else {
-          // Target may be some user-defined HTML contained within a menuitem.
-          // If we don't find a menuitem before reaching menuCntnr in this
-          // routine, it means the user has inserted some of their own items
-          // into the menu.
-          let count = 0;
-          let parent = target;
-          while ((parent = parent.parentNode) && (parent != this.menuCntnr)) {
-            if (parent.isOptiMenuitem) {
-              menuitem = parent;
-              break;
-            }
-          }
+        // "opti_menuicon1" and "opti_menuicon2" must precede "opti_menuitem" as they would
+        // also trigger a menuitem click.  Target may be content of the icon,
+        // or the icon may carry other classes.
+        let icon = menuitem && target.closest(".opti_menuicon1, .opti_menuicon2");
+        if (icon && menuitem.contains(icon)) {
+          e.hybridType = icon.classList.contains("opti_menuicon1") ? "action1click" : "action2click";
+          e.menuitem = menuitem;
+          this.callActivityActionListeners(e);
+
+          return;
         }
 
         if (menuitem) {
@@ -1138,14 +4972,14 @@ e.menuitem = menuitem;
           e.menuitem = menuitem;
           this.callActivityActionListeners(e);
 
+          this.closeAfterMenuitemClick();
           return;
         }
 
         this.callActivityMouseListeners(e);
         break;
       case "keydown":
-        // TODO: beginnings of keyboard navigation
-        //this.keyboardAction(e);
+        this.keyboardAction(e);
         break;
       case "resize":
         this.updateMenuitemDims();
@@ -1169,6 +5003,20 @@ e.menuitem = menuitem;
           return;
         }
 
+        if (this.menuitemOffsets) {
+          // Scroll by menuitems of their varying heights, keeping the top
+          // menuitem justified with the top of the menu.  A partially
+          // scrolled top menuitem counts as one when scrolling up.
+          let scrollTop = menuCntnr.scrollTop;
+          let topIndex = this.getIndexAtOffset(scrollTop);
+          let rows = Math.round(e.deltaY) || Math.sign(e.deltaY);
+          if (rows < 0 && scrollTop > this.getIndexOffset(topIndex)) {
+            rows++;
+          }
+          menuCntnr.scrollTop = this.getIndexOffset(topIndex + rows);
+          break;
+        }
+
         let mult = this.wheelScrollDistance;
 
         let upFromMaxScroll = (e.deltaY < 0) &&
@@ -1183,7 +5031,67 @@ e.menuitem = menuitem;
         break;
       case "scroll":
         this.psuedoScroll(this.menuCntnr.scrollTop);
+        if (this.hasEventListeners("scroll")) {
+          e.hybridType = "scroll";
+          e.opti_topIndex = this.currentIndex;
+          this.callEventListeners("scroll", e);
+        }
         break;
     }
   },
 }
+
+/*
+ * OptiMenu.openPopup
+ *
+ * Creates an OptiMenu in a floating container, appended to the document body,
+ * positioned by an element or point and focused.  It is as tall as its
+ * menuitems, up to maxVisibleRows of them, and within the window.  The popup
+ * closes (see OptiMenu.closePopup()) on Escape, a mousedown outside it or its
+ * submenus, focus leaving them, or a menuitem click.
+ *
+ * @param anchor DOM element or object - the element to position the popup
+ *   by, or a point `{ x, y }` in client coordinates, eg of a contextmenu event.
+ * @param options object optional - options for the OptiMenu constructor, and:
+ *   `menuData` - array of menu data for `OptiMenu.updateMenu()`, and
+ *     `deepClone` for it
+ *   `placement` - "below" (default), "above", "right" or "left" of the anchor,
+ *     flipped if there is only room on the opposite side
+ *   `maxVisibleRows` - menuitems displayed before scrolling, 10 by default
+ *   `width` - width in pixels, by default the width of the anchor element or
+ *     200 for a point
+ *   `window` - the window to open the popup in, by default that of the anchor
+ *     element or the current window
+ * @return OptiMenu - the popup menu.
+ */
+OptiMenu.openPopup = function(anchor, options) {
+  let anchorRect;
+  let win = options && options.window;
+  if (anchor.getBoundingClientRect) {
+    anchorRect = anchor.getBoundingClientRect();
+    win = win || anchor.ownerDocument.defaultView;
+  } else {
+    anchorRect = { left: anchor.x, right: anchor.x, top: anchor.y, bottom: anchor.y, width: 0, height: 0 };
+  }
+  win = win || window;
+
+  let container = win.document.createElement("div");
+  container.className = "opti_popup";
+  container.style.width = ((options && options.width) || anchorRect.width || 200) + "px";
+  win.document.body.appendChild(container);
+
+  let menu = new OptiMenu(container, win, options);
+  menu.initPopup(anchorRect, options);
+  return menu;
+};
+
+OptiMenu.instancesCount = 0;
+// Attributes of menuitems set by the menu, which userDefined.attributes may
+// not set.
+OptiMenu.menuitemAttributes = new Set([
+  "id", "class", "style", "role", "draggable", "aria-selected", "aria-setsize",
+  "aria-posinset", "aria-level", "aria-expanded", "aria-busy",
+]);
+// Instances with a dragGroup, and the drag session while dragging from one.
+OptiMenu.dragGroupMenus = new Set();
+OptiMenu.dragSession = null;
@@ -0,0 +1,108 @@
+/*
+ * destroy.test.js
+ *
+ * Checks that OptiMenu.destroy() leaves nothing behind in the document and
+ * window, and that OptiMenu.reinit() builds the menu again, measuring it
+ * afresh.
+ *
+ *   npm test
+ */
+
+const assert = require("assert");
+const { createWindow, menuData } = require("./helpers");
+
+function mouseEvent(win, type, init) {
+  return new win.MouseEvent(type, Object.assign({ bubbles: true, cancelable: true, button: 0 }, init));
+}
+
+function testDestroy() {
+  let { win, menuCntnr, listeners } = createWindow();
+  let document = win.document;
+  let optiMenu = new win.OptiMenu(menuCntnr, win, { dragReorder: true });
+  optiMenu.updateMenu(menuData(100));
+
+  assert.ok(menuCntnr.querySelectorAll(".opti_menuitem").length > 0, "menuitems are rendered");
+  assert.ok(document.querySelector(".opti_dragfeedback"), "drag feedback is added");
+  assert.ok(document.querySelector("style[id^='optimenu_dynamic_css_']"), "dynamic CSS is added");
+
+  // Begin a drag, which listens on the document, so destroy() must end it.
+  let menuitem = menuCntnr.querySelector(".opti_menuitem");
+  menuitem.dispatchEvent(mouseEvent(win, "mousedown", { clientX: 10, clientY: 5 }));
+  document.dispatchEvent(mouseEvent(win, "mousemove", { clientX: 10, clientY: 40 }));
+  assert.ok(listeners.size > 0, "listeners are added to the window and document");
+
+  optiMenu.destroy();
+
+  let remaining = Array.from(listeners, entry => entry.targetName + " " + entry.type);
+  assert.deepStrictEqual(remaining, [], "no window or document listeners remain");
+  assert.strictEqual(document.querySelector(".opti_dragfeedback"), null,
+                     "no drag feedback element remains");
+  assert.strictEqual(document.querySelector("style[id^='optimenu_dynamic_css_']"), null,
+                     "no dynamic CSS remains");
+  assert.strictEqual(menuCntnr.querySelectorAll(".opti_menuitem").length, 0,
+                     "no menuitems remain");
+
+  // A second destroy() does nothing.
+  optiMenu.destroy();
+
+  optiMenu.reinit();
+  let texts = Array.from(menuCntnr.querySelectorAll(".opti_menuitem"),
+                         node => node.opti_menutext.textContent);
+  assert.ok(texts.length > 0, "menuitems are rendered again");
+  assert.strictEqual(texts[0], "item 0");
+  assert.strictEqual(document.querySelectorAll(".opti_dragfeedback").length, 1);
+  assert.strictEqual(document.querySelectorAll("style[id^='optimenu_dynamic_css_']").length, 1);
+
+  optiMenu.destroy();
+  assert.strictEqual(listeners.size, 0, "no listeners remain after destroying again");
+}
+
+function testReinitMeasures() {
+  let { win, menuCntnr, sizes } = createWindow();
+  let optiMenu = new win.OptiMenu(menuCntnr, win, {});
+  optiMenu.updateMenu(menuData(100));
+  assert.strictEqual(optiMenu.miHeight, 18);
+  assert.strictEqual(optiMenu.icon1FullWidth, 15);
+  assert.strictEqual(optiMenu.icon2FullWidth, 17);
+
+  optiMenu.destroy();
+  for (let name of ["miHeight", "icon1FullWidth", "icon2FullWidth", "menuitemOffsets",
+                    "minMenuitemHeight", "currentMenuFillTotalHeight",
+                    "currentMenuMaxScroll", "currentMenuMaxTopIndex"]) {
+    assert.ok(!Object.prototype.hasOwnProperty.call(optiMenu, name),
+              name + " is reset by destroy()");
+  }
+
+  // As if the stylesheet changed while the menu was destroyed.
+  sizes.menuitemHeight = 24;
+  sizes.icon1Width = 20;
+  sizes.icon2Width = 22;
+  optiMenu.reinit();
+  assert.strictEqual(optiMenu.miHeight, 24, "the menuitem height is measured again");
+  assert.strictEqual(optiMenu.icon1FullWidth, 20, "the prefix icon is measured again");
+  assert.strictEqual(optiMenu.icon2FullWidth, 22, "the suffix icon is measured again");
+  assert.strictEqual(optiMenu.wheelScrollDistance, 24);
+  assert.strictEqual(optiMenu.getIndexOffset(100), 2400, "offsets use the new height");
+  let css = win.document.getElementById("optimenu_dynamic_css_menu_dimensions_" +
+                                        optiMenu.instanceId).textContent;
+  let textWidth = 300 - 20 - 22 - optiMenu.menuItemTrailSpace;
+  assert.ok(css.includes("width: " + textWidth + "px"), "the menutext width uses the new icon widths");
+
+  // A renderer without icons leaves no icon widths from the default layout.
+  optiMenu.reinit(null, null, {
+    renderer: {
+      create() {
+        return win.document.createElement("div");
+      },
+      update(menuitem, data) {
+        menuitem.textContent = data.menutextstr;
+      },
+    },
+  });
+  assert.strictEqual(optiMenu.icon1FullWidth, 0);
+  assert.strictEqual(optiMenu.icon2FullWidth, 0);
+}
+
+testDestroy();
+testReinitMeasures();
+console.log("destroy.test.js: ok");
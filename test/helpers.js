@@ -0,0 +1,97 @@
+/*
+ * helpers.js
+ *
+ * Runs the menu in jsdom, which has no layout, so element sizes are faked.
+ * The sizes returned by createWindow() may be changed to fake a change of
+ * stylesheet.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const CNTNR_HEIGHT = 180;
+const CNTNR_WIDTH = 300;
+
+function createWindow() {
+  let sizes = {
+    menuitemHeight: 18,
+    // Of the prefix icon and suffix icon, with their margins.
+    icon1Width: 15,
+    icon2Width: 17,
+    trailSpace: 6,
+  };
+
+  let dom = new JSDOM('<!DOCTYPE html><html><head></head><body><div id="menu"></div></body></html>',
+                      { runScripts: "outside-only", pretendToBeVisual: true });
+  let win = dom.window;
+
+  win.Element.prototype.getBoundingClientRect = function() {
+    let height = 12;
+    let width = 3;
+    if (this.id == "menu" || this.classList.contains("opti_menu_outer_container")) {
+      height = CNTNR_HEIGHT;
+      width = CNTNR_WIDTH;
+    } else if (this.classList.contains("opti_menuitem")) {
+      height = sizes.menuitemHeight;
+      width = CNTNR_WIDTH;
+    } else if (this.classList.contains("opti_menutext")) {
+      let left = sizes.icon1Width;
+      let right = CNTNR_WIDTH - sizes.icon2Width - sizes.trailSpace;
+      return { top: 0, left, bottom: height, right, height, width: right - left };
+    } else if (!this.className && this.parentNode && this.parentNode.isOptiMenuitem) {
+      // The reference div measuring where the suffix icon ends.
+      let left = CNTNR_WIDTH - sizes.trailSpace;
+      return { top: 0, left, bottom: height, right: left, height, width: 0 };
+    }
+    return { top: 0, left: 0, bottom: height, right: width, height, width };
+  };
+  let menuCntnr = win.document.getElementById("menu");
+  Object.defineProperty(menuCntnr, "clientHeight", { get: () => CNTNR_HEIGHT });
+  Object.defineProperty(menuCntnr, "clientWidth", { get: () => CNTNR_WIDTH });
+
+  // Record the listeners on the window and document, to check destroy()
+  // removes all those the menu added.
+  let listeners = new Set();
+  let listenerKey = (target, type, listener, options) => {
+    let capture = typeof options == "boolean" ? options : !!(options && options.capture);
+    let targetName = target == win ? "window" : "document";
+    return { targetName, type, listener, capture };
+  };
+  let find = (key) => {
+    for (let entry of listeners) {
+      if (entry.targetName == key.targetName && entry.type == key.type &&
+          entry.listener == key.listener && entry.capture == key.capture) {
+        return entry;
+      }
+    }
+    return null;
+  };
+  for (let target of [win, win.document]) {
+    let add = target.addEventListener;
+    let remove = target.removeEventListener;
+    target.addEventListener = function(type, listener, options) {
+      let key = listenerKey(target, type, listener, options);
+      // jsdom's own listeners, such as those of its selector engine, belong to
+      // Node's realm rather than the window's.
+      if (listener instanceof win.Object && !find(key)) {
+        listeners.add(key);
+      }
+      return add.call(this, type, listener, options);
+    };
+    target.removeEventListener = function(type, listener, options) {
+      listeners.delete(find(listenerKey(target, type, listener, options)));
+      return remove.call(this, type, listener, options);
+    };
+  }
+
+  let source = fs.readFileSync(path.join(__dirname, "..", "optimenu.js"), "utf8");
+  win.eval(source + "\nwindow.OptiMenu = OptiMenu;");
+  return { win, menuCntnr, listeners, sizes };
+}
+
+function menuData(count) {
+  return Array.from({ length: count }, (_, i) => ({ menutextstr: "item " + i }));
+}
+
+module.exports = { createWindow, menuData };
@@ -0,0 +1,74 @@
+/*
+ * menudata.test.js
+ *
+ * Checks that OptiMenu.removeItems() and OptiMenu.moveItems() only act on the
+ * part of their range within the menu data.
+ *
+ *   npm test
+ */
+
+const assert = require("assert");
+const { createWindow, menuData } = require("./helpers");
+
+function createMenu(count) {
+  let { win, menuCntnr } = createWindow();
+  let optiMenu = new win.OptiMenu(menuCntnr, win, {});
+  optiMenu.updateMenu(menuData(count));
+  return optiMenu;
+}
+
+function texts(optiMenu) {
+  return optiMenu._currentMenuData.map(data => data.menutextstr);
+}
+
+function names(...indices) {
+  return indices.map(i => "item " + i);
+}
+
+function testRemoveItems() {
+  let optiMenu = createMenu(5);
+  let removed = optiMenu.removeItems(-5, 2);
+  assert.strictEqual(removed.length, 0, "a range entirely before the menu data removes nothing");
+  assert.deepStrictEqual(texts(optiMenu), names(0, 1, 2, 3, 4));
+
+  removed = optiMenu.removeItems(-1, 2);
+  assert.deepStrictEqual(removed.map(data => data.menutextstr), names(0),
+                         "a range starting before the menu data removes only its part within it");
+  assert.deepStrictEqual(texts(optiMenu), names(1, 2, 3, 4));
+
+  removed = optiMenu.removeItems(3, 10);
+  assert.deepStrictEqual(removed.map(data => data.menutextstr), names(4),
+                         "a range ending after the menu data removes only its part within it");
+  assert.deepStrictEqual(texts(optiMenu), names(1, 2, 3));
+
+  assert.strictEqual(optiMenu.removeItems(3).length, 0, "an index past the end removes nothing");
+  assert.strictEqual(optiMenu.removeItems(0, 0).length, 0, "an empty range removes nothing");
+  assert.strictEqual(optiMenu.removeItems(0, -2).length, 0, "a negative count removes nothing");
+  assert.deepStrictEqual(texts(optiMenu), names(1, 2, 3));
+  assert.deepStrictEqual(optiMenu._currentMenuData.map(data => data.opti_index), [0, 1, 2]);
+}
+
+function testMoveItems() {
+  let optiMenu = createMenu(5);
+  optiMenu.moveItems(-5, 2, 3);
+  assert.deepStrictEqual(texts(optiMenu), names(0, 1, 2, 3, 4),
+                         "a range entirely before the menu data moves nothing");
+
+  optiMenu.moveItems(-1, 2, 3);
+  assert.deepStrictEqual(texts(optiMenu), names(1, 2, 3, 0, 4),
+                         "a range starting before the menu data moves only its part within it");
+
+  optiMenu.moveItems(3, 10, 0);
+  assert.deepStrictEqual(texts(optiMenu), names(0, 4, 1, 2, 3),
+                         "a range ending after the menu data moves only its part within it");
+
+  optiMenu.moveItems(5, 1, 0);
+  optiMenu.moveItems(0, 0, 3);
+  assert.deepStrictEqual(texts(optiMenu), names(0, 4, 1, 2, 3),
+                         "an index past the end or an empty range moves nothing");
+  assert.deepStrictEqual(optiMenu._currentMenuData.map(data => data.opti_index), [0, 1, 2, 3, 4]);
+}
+
+testRemoveItems();
+testMoveItems();
+console.log("menudata.test.js: ok");